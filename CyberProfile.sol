@@ -7,14 +7,21 @@ import "@openzeppelin/contracts/token/common/ERC2981.sol";
 import "@openzeppelin/contracts/access/Ownable.sol";
 import "@openzeppelin/contracts/security/ReentrancyGuard.sol";
 import "@openzeppelin/contracts/security/Pausable.sol";
+import "@openzeppelin/contracts/utils/cryptography/EIP712.sol";
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
 
 /**
  * @title CyberProfile
  * @dev NFT contract for cyberpunk-transformed Farcaster profile pictures
  * Features dynamic minting parameters based on FID and Pro status
  * Includes EIP-2981 royalty standard with 6.66% default royalty
+ * Public mints require an EIP-712 voucher signed by the oracle
+ * Holders can pay to re-roll their artwork a limited number of times
+ * Signals metadata changes with ERC-4906 events (via ERC721URIStorage)
+ * The owner chooses whether tokens are transferable, soulbound, or may only
+ * move between wallets the oracle has verified for the same FID
  */
-contract CyberProfile is ERC721, ERC721URIStorage, ERC2981, Ownable, ReentrancyGuard, Pausable {
+contract CyberProfile is ERC721, ERC721URIStorage, ERC2981, EIP712, Ownable, ReentrancyGuard, Pausable {
     
     // ===== STATE VARIABLES =====
     
@@ -33,6 +40,66 @@ contract CyberProfile is ERC721, ERC721URIStorage, ERC2981, Ownable, ReentrancyG
     
     MintingParams public mintingParams;
     
+    // Mint authorization signed by the oracle after it has checked that
+    // `to` is the FID's custody or verified address
+    struct MintVoucher {
+        uint256 fid;                 // Farcaster ID being minted
+        address to;                  // Recipient wallet
+        string tokenURI;             // Metadata URI prepared by the server
+        bool isPro;                  // Price tier
+        uint256 expiry;              // Unix timestamp after which the voucher is void
+    }
+    
+    bytes32 public constant MINT_VOUCHER_TYPEHASH = keccak256(
+        "MintVoucher(uint256 fid,address to,string tokenURI,bool isPro,uint256 expiry)"
+    );
+    
+    // Re-roll authorization signed by the oracle after it has pinned new
+    // artwork for the token and checked the holder's wallet
+    struct RerollVoucher {
+        uint256 tokenId;             // Token being re-rolled
+        address holder;              // Current owner, who must send the transaction
+        string tokenURI;             // Replacement metadata URI
+        uint256 rerollIndex;         // Must equal rerollCount[tokenId], so each voucher works once
+        uint256 expiry;              // Unix timestamp after which the voucher is void
+    }
+    
+    bytes32 public constant REROLL_VOUCHER_TYPEHASH = keccak256(
+        "RerollVoucher(uint256 tokenId,address holder,string tokenURI,uint256 rerollIndex,uint256 expiry)"
+    );
+    
+    // Who a token may be transferred to (mints and burns are always allowed)
+    enum TransferPolicy {
+        Transferable,                // Any transfer
+        Soulbound,                   // No transfers
+        SameFid                      // Only via transferToVerifiedWallet
+    }
+    
+    // Transfer authorization signed by the oracle after it has checked that
+    // `to` is a custody or verified address of the token's FID
+    struct TransferVoucher {
+        uint256 tokenId;             // Token being moved
+        address from;                // Current owner
+        address to;                  // Wallet verified for the same FID
+        uint256 expiry;              // Unix timestamp after which the voucher is void
+    }
+    
+    bytes32 public constant TRANSFER_VOUCHER_TYPEHASH = keccak256(
+        "TransferVoucher(uint256 tokenId,address from,address to,uint256 expiry)"
+    );
+    
+    TransferPolicy public transferPolicy;
+    
+    // Set only while transferToVerifiedWallet moves a token
+    bool private _voucherTransfer;
+    
+    // Re-roll pricing and per-token cap
+    uint256 public rerollFee;
+    uint256 public maxRerollsPerToken = 3;
+    
+    // Mapping from token ID to number of re-rolls used
+    mapping(uint256 => uint256) public rerollCount;
+    
     // Mapping to track if a FID has already minted
     mapping(uint256 => bool) public hasMinted;
     
@@ -77,6 +144,9 @@ contract CyberProfile is ERC721, ERC721URIStorage, ERC2981, Ownable, ReentrancyG
     event OracleUpdated(address indexed newOracle);
     event TreasuryUpdated(address indexed newTreasury);
     event RoyaltyUpdated(address indexed receiver, uint96 basisPoints);
+    event TokenRerolled(uint256 indexed tokenId, uint256 indexed fid, string tokenURI, uint256 rerollCount, uint256 feePaid);
+    event RerollParamsUpdated(uint256 fee, uint256 maxRerollsPerToken);
+    event TransferPolicyUpdated(TransferPolicy policy);
     
     // ===== MODIFIERS =====
     
@@ -95,7 +165,7 @@ contract CyberProfile is ERC721, ERC721URIStorage, ERC2981, Ownable, ReentrancyG
         uint256 _baseMintPrice,
         uint256 _proMintPrice,
         uint256 _maxSupply
-    ) ERC721("CyberProfile", "CYBER") {
+    ) ERC721("CyberProfile", "CYBER") EIP712("CyberProfile", "1") {
         require(_treasury != address(0), "Invalid treasury address");
         require(_baseMintPrice >= _proMintPrice, "Pro price must be <= base price");
         require(_maxSupply > 0, "Max supply must be > 0");
@@ -103,6 +173,7 @@ contract CyberProfile is ERC721, ERC721URIStorage, ERC2981, Ownable, ReentrancyG
         treasury = _treasury;
         oracle = _oracle;
         royaltyReceiver = _treasury; // Default royalty receiver is treasury
+        rerollFee = _baseMintPrice;
         
         mintingParams = MintingParams({
             minFid: _minFid,
@@ -122,29 +193,34 @@ contract CyberProfile is ERC721, ERC721URIStorage, ERC2981, Ownable, ReentrancyG
     
     /**
      * @dev Mint a CyberProfile NFT
-     * @param to Address to mint to
-     * @param tokenURI IPFS URI for the token metadata
-     * @param fid Farcaster ID of the user
+     * @param voucher Oracle-issued authorization binding fid, recipient, tokenURI, price tier and expiry
+     * @param signature EIP-712 signature of the voucher by the oracle (or owner)
      */
     function mint(
-        address to,
-        string memory tokenURI,
-        uint256 fid
+        MintVoucher calldata voucher,
+        bytes calldata signature
     ) external payable nonReentrant whenNotPaused {
-        require(to != address(0), "Cannot mint to zero address");
+        uint256 fid = voucher.fid;
+        
+        require(voucher.to != address(0), "Cannot mint to zero address");
+        require(block.timestamp <= voucher.expiry, "Voucher expired");
+        
+        address signer = ECDSA.recover(hashMintVoucher(voucher), signature);
+        require(signer == oracle || signer == owner(), "Invalid voucher signature");
+        
         require(!hasMinted[fid], "FID has already minted");
         require(fid >= mintingParams.minFid && fid <= mintingParams.maxFid, "FID not in eligible range");
         require(mintingParams.currentSupply < mintingParams.maxSupply, "Max supply reached");
         
-        bool isPro = isProUser[fid];
+        bool isPro = voucher.isPro;
         uint256 requiredPrice = getMintPrice(fid, isPro);
         require(msg.value >= requiredPrice, "Insufficient payment");
         
         uint256 tokenId = _tokenIdCounter;
         _tokenIdCounter++;
         
-        _safeMint(to, tokenId);
-        _setTokenURI(tokenId, tokenURI);
+        _safeMint(voucher.to, tokenId);
+        _setTokenURI(tokenId, voucher.tokenURI);
         
         hasMinted[fid] = true;
         fidToTokenId[fid] = tokenId;
@@ -155,7 +231,7 @@ contract CyberProfile is ERC721, ERC721URIStorage, ERC2981, Ownable, ReentrancyG
         (bool success, ) = treasury.call{value: msg.value}("");
         require(success, "Transfer to treasury failed");
         
-        emit CyberProfileMinted(to, tokenId, fid, isPro, msg.value);
+        emit CyberProfileMinted(voucher.to, tokenId, fid, isPro, msg.value);
     }
     
     /**
@@ -185,9 +261,67 @@ contract CyberProfile is ERC721, ERC721URIStorage, ERC2981, Ownable, ReentrancyG
             fidToTokenId[fids[i]] = tokenId;
             tokenIdToFid[tokenId] = fids[i];
             mintingParams.currentSupply++;
+            
+            emit CyberProfileMinted(recipients[i], tokenId, fids[i], false, 0);
         }
     }
     
+    /**
+     * @dev Replace the artwork of a token the caller holds (emits ERC-4906 MetadataUpdate)
+     * @param voucher Oracle-issued authorization binding token, holder, new tokenURI, re-roll index and expiry
+     * @param signature EIP-712 signature of the voucher by the oracle (or owner)
+     */
+    function reroll(
+        RerollVoucher calldata voucher,
+        bytes calldata signature
+    ) external payable nonReentrant whenNotPaused {
+        uint256 tokenId = voucher.tokenId;
+        
+        require(ownerOf(tokenId) == msg.sender, "Not token owner");
+        require(voucher.holder == msg.sender, "Voucher issued to another holder");
+        require(block.timestamp <= voucher.expiry, "Voucher expired");
+        
+        address signer = ECDSA.recover(hashRerollVoucher(voucher), signature);
+        require(signer == oracle || signer == owner(), "Invalid voucher signature");
+        
+        require(voucher.rerollIndex == rerollCount[tokenId], "Voucher already used");
+        require(rerollCount[tokenId] < maxRerollsPerToken, "Re-roll limit reached");
+        require(msg.value >= rerollFee, "Insufficient payment");
+        
+        rerollCount[tokenId]++;
+        _setTokenURI(tokenId, voucher.tokenURI);
+        
+        // Transfer funds to treasury
+        (bool success, ) = treasury.call{value: msg.value}("");
+        require(success, "Transfer to treasury failed");
+        
+        emit TokenRerolled(tokenId, tokenIdToFid[tokenId], voucher.tokenURI, rerollCount[tokenId], msg.value);
+    }
+    
+    // ===== TRANSFER FUNCTIONS =====
+    
+    /**
+     * @dev Move a token to another wallet of the same FID (works under every transfer policy but Soulbound)
+     * @param voucher Oracle-issued authorization binding token, current owner, recipient and expiry
+     * @param signature EIP-712 signature of the voucher by the oracle (or owner)
+     */
+    function transferToVerifiedWallet(
+        TransferVoucher calldata voucher,
+        bytes calldata signature
+    ) external nonReentrant {
+        require(_isApprovedOrOwner(msg.sender, voucher.tokenId), "Not owner or approved");
+        require(ownerOf(voucher.tokenId) == voucher.from, "Voucher issued to another owner");
+        require(block.timestamp <= voucher.expiry, "Voucher expired");
+        
+        address signer = ECDSA.recover(hashTransferVoucher(voucher), signature);
+        require(signer == oracle || signer == owner(), "Invalid voucher signature");
+        
+        // _transfer makes no receiver callback, so the flag cannot leak to another transfer
+        _voucherTransfer = true;
+        _transfer(voucher.from, voucher.to, voucher.tokenId);
+        _voucherTransfer = false;
+    }
+    
     // ===== VIEW FUNCTIONS =====
     
     /**
@@ -227,6 +361,47 @@ contract CyberProfile is ERC721, ERC721URIStorage, ERC2981, Ownable, ReentrancyG
         return tokenIdToFid[tokenId];
     }
     
+    /**
+     * @dev EIP-712 digest of a mint voucher, as signed by the oracle
+     */
+    function hashMintVoucher(MintVoucher calldata voucher) public view returns (bytes32) {
+        return _hashTypedDataV4(keccak256(abi.encode(
+            MINT_VOUCHER_TYPEHASH,
+            voucher.fid,
+            voucher.to,
+            keccak256(bytes(voucher.tokenURI)),
+            voucher.isPro,
+            voucher.expiry
+        )));
+    }
+    
+    /**
+     * @dev EIP-712 digest of a re-roll voucher, as signed by the oracle
+     */
+    function hashRerollVoucher(RerollVoucher calldata voucher) public view returns (bytes32) {
+        return _hashTypedDataV4(keccak256(abi.encode(
+            REROLL_VOUCHER_TYPEHASH,
+            voucher.tokenId,
+            voucher.holder,
+            keccak256(bytes(voucher.tokenURI)),
+            voucher.rerollIndex,
+            voucher.expiry
+        )));
+    }
+    
+    /**
+     * @dev EIP-712 digest of a transfer voucher, as signed by the oracle
+     */
+    function hashTransferVoucher(TransferVoucher calldata voucher) public view returns (bytes32) {
+        return _hashTypedDataV4(keccak256(abi.encode(
+            TRANSFER_VOUCHER_TYPEHASH,
+            voucher.tokenId,
+            voucher.from,
+            voucher.to,
+            voucher.expiry
+        )));
+    }
+    
     /**
      * @dev Get all minting parameters
      */
@@ -277,6 +452,51 @@ contract CyberProfile is ERC721, ERC721URIStorage, ERC2981, Ownable, ReentrancyG
         mintingParams.proMintPrice = _proMintPrice;
     }
     
+    /**
+     * @dev Update the re-roll fee and per-token re-roll cap
+     */
+    function updateRerollParams(uint256 _rerollFee, uint256 _maxRerollsPerToken) external onlyOwner {
+        rerollFee = _rerollFee;
+        maxRerollsPerToken = _maxRerollsPerToken;
+        emit RerollParamsUpdated(_rerollFee, _maxRerollsPerToken);
+    }
+    
+    /**
+     * @dev Replace the URI of a token, e.g. after repinning broken metadata (emits MetadataUpdate)
+     */
+    function setTokenURI(uint256 tokenId, string calldata uri) external onlyOwner {
+        require(_exists(tokenId), "Token does not exist");
+        _setTokenURI(tokenId, uri);
+    }
+    
+    /**
+     * @dev Replace the URIs of several tokens
+     */
+    function batchSetTokenURI(uint256[] calldata tokenIds, string[] calldata uris) external onlyOwner {
+        require(tokenIds.length == uris.length, "Array lengths must match");
+        
+        for (uint256 i = 0; i < tokenIds.length; i++) {
+            require(_exists(tokenIds[i]), "Token does not exist");
+            _setTokenURI(tokenIds[i], uris[i]);
+        }
+    }
+    
+    /**
+     * @dev Ask marketplaces to re-fetch metadata for a token range whose URIs are unchanged
+     */
+    function refreshMetadata(uint256 fromTokenId, uint256 toTokenId) external onlyOwner {
+        require(fromTokenId <= toTokenId && toTokenId < _tokenIdCounter, "Invalid token range");
+        emit BatchMetadataUpdate(fromTokenId, toTokenId);
+    }
+    
+    /**
+     * @dev Set the transfer policy for all tokens
+     */
+    function setTransferPolicy(TransferPolicy policy) external onlyOwner {
+        transferPolicy = policy;
+        emit TransferPolicyUpdated(policy);
+    }
+    
     /**
      * @dev Update Pro status for a FID (oracle or owner only)
      */
@@ -371,6 +591,22 @@ contract CyberProfile is ERC721, ERC721URIStorage, ERC2981, Ownable, ReentrancyG
     
     // ===== OVERRIDES =====
     
+    function _beforeTokenTransfer(
+        address from,
+        address to,
+        uint256 firstTokenId,
+        uint256 batchSize
+    ) internal override {
+        super._beforeTokenTransfer(from, to, firstTokenId, batchSize);
+        
+        if (from == address(0) || to == address(0)) return;
+        
+        require(transferPolicy != TransferPolicy.Soulbound, "Token is soulbound");
+        if (transferPolicy == TransferPolicy.SameFid) {
+            require(_voucherTransfer, "Transfers require a same-FID voucher");
+        }
+    }
+    
     function _burn(uint256 tokenId) internal override(ERC721, ERC721URIStorage) {
         super._burn(tokenId);
         _resetTokenRoyalty(tokenId);
@@ -12,6 +12,78 @@ describe("CyberProfile NFT Contract", function () {
     const MAX_SUPPLY = 10000;
     const TEST_TOKEN_URI = "ipfs://QmTest123";
 
+    const MINT_VOUCHER_TYPES = {
+        MintVoucher: [
+            { name: "fid", type: "uint256" },
+            { name: "to", type: "address" },
+            { name: "tokenURI", type: "string" },
+            { name: "isPro", type: "bool" },
+            { name: "expiry", type: "uint256" }
+        ]
+    };
+
+    const REROLL_VOUCHER_TYPES = {
+        RerollVoucher: [
+            { name: "tokenId", type: "uint256" },
+            { name: "holder", type: "address" },
+            { name: "tokenURI", type: "string" },
+            { name: "rerollIndex", type: "uint256" },
+            { name: "expiry", type: "uint256" }
+        ]
+    };
+
+    const TRANSFER_VOUCHER_TYPES = {
+        TransferVoucher: [
+            { name: "tokenId", type: "uint256" },
+            { name: "from", type: "address" },
+            { name: "to", type: "address" },
+            { name: "expiry", type: "uint256" }
+        ]
+    };
+
+    const TransferPolicy = { Transferable: 0, Soulbound: 1, SameFid: 2 };
+
+    // Sign a mint voucher valid for an hour; the price tier defaults to the FID's on-chain Pro status
+    async function signVoucher(to, tokenURI, fid, overrides = {}, signer = oracle) {
+        const { chainId } = await ethers.provider.getNetwork();
+        const { timestamp } = await ethers.provider.getBlock("latest");
+        const voucher = {
+            fid,
+            to,
+            tokenURI,
+            isPro: await cyberProfile.isProUser(fid),
+            expiry: timestamp + 3600,
+            ...overrides
+        };
+        const domain = { name: "CyberProfile", version: "1", chainId, verifyingContract: cyberProfile.address };
+        return [voucher, await signer._signTypedData(domain, MINT_VOUCHER_TYPES, voucher)];
+    }
+
+    // Sign a re-roll voucher valid for an hour for the token's next re-roll
+    async function signRerollVoucher(holder, tokenURI, tokenId, overrides = {}, signer = oracle) {
+        const { chainId } = await ethers.provider.getNetwork();
+        const { timestamp } = await ethers.provider.getBlock("latest");
+        const voucher = {
+            tokenId,
+            holder,
+            tokenURI,
+            rerollIndex: await cyberProfile.rerollCount(tokenId),
+            expiry: timestamp + 3600,
+            ...overrides
+        };
+        const domain = { name: "CyberProfile", version: "1", chainId, verifyingContract: cyberProfile.address };
+        return [voucher, await signer._signTypedData(domain, REROLL_VOUCHER_TYPES, voucher)];
+    }
+
+    // Sign a same-FID transfer voucher valid for an hour
+    async function signTransferVoucher(from, to, tokenId, overrides = {}, signer = oracle) {
+        const { chainId } = await ethers.provider.getNetwork();
+        const { timestamp } = await ethers.provider.getBlock("latest");
+        const voucher = { tokenId, from, to, expiry: timestamp + 3600, ...overrides };
+        const domain = { name: "CyberProfile", version: "1", chainId, verifyingContract: cyberProfile.address };
+        return [voucher, await signer._signTypedData(domain, TRANSFER_VOUCHER_TYPES, voucher)];
+    }
+
     beforeEach(async function () {
         [owner, treasury, oracle, user1, user2, user3] = await ethers.getSigners();
 
@@ -58,9 +130,7 @@ describe("CyberProfile NFT Contract", function () {
             
             await expect(
                 cyberProfile.connect(user1).mint(
-                    user1.address,
-                    TEST_TOKEN_URI,
-                    fid,
+                    ...await signVoucher(user1.address, TEST_TOKEN_URI, fid),
                     { value: baseMintPrice }
                 )
             ).to.emit(cyberProfile, "CyberProfileMinted")
@@ -79,9 +149,7 @@ describe("CyberProfile NFT Contract", function () {
 
             await expect(
                 cyberProfile.connect(user1).mint(
-                    user1.address,
-                    TEST_TOKEN_URI,
-                    fid,
+                    ...await signVoucher(user1.address, TEST_TOKEN_URI, fid),
                     { value: proMintPrice }
                 )
             ).to.emit(cyberProfile, "CyberProfileMinted")
@@ -94,9 +162,7 @@ describe("CyberProfile NFT Contract", function () {
 
             await expect(
                 cyberProfile.connect(user1).mint(
-                    user1.address,
-                    TEST_TOKEN_URI,
-                    fid,
+                    ...await signVoucher(user1.address, TEST_TOKEN_URI, fid),
                     { value: lowPrice }
                 )
             ).to.be.revertedWith("Insufficient payment");
@@ -107,9 +173,7 @@ describe("CyberProfile NFT Contract", function () {
 
             await expect(
                 cyberProfile.connect(user1).mint(
-                    user1.address,
-                    TEST_TOKEN_URI,
-                    fid,
+                    ...await signVoucher(user1.address, TEST_TOKEN_URI, fid),
                     { value: baseMintPrice }
                 )
             ).to.be.revertedWith("FID not in eligible range");
@@ -120,9 +184,7 @@ describe("CyberProfile NFT Contract", function () {
 
             await expect(
                 cyberProfile.connect(user1).mint(
-                    user1.address,
-                    TEST_TOKEN_URI,
-                    fid,
+                    ...await signVoucher(user1.address, TEST_TOKEN_URI, fid),
                     { value: baseMintPrice }
                 )
             ).to.be.revertedWith("FID not in eligible range");
@@ -132,17 +194,13 @@ describe("CyberProfile NFT Contract", function () {
             const fid = 12345;
 
             await cyberProfile.connect(user1).mint(
-                user1.address,
-                TEST_TOKEN_URI,
-                fid,
+                ...await signVoucher(user1.address, TEST_TOKEN_URI, fid),
                 { value: baseMintPrice }
             );
 
             await expect(
                 cyberProfile.connect(user2).mint(
-                    user2.address,
-                    TEST_TOKEN_URI,
-                    fid,
+                    ...await signVoucher(user2.address, TEST_TOKEN_URI, fid),
                     { value: baseMintPrice }
                 )
             ).to.be.revertedWith("FID has already minted");
@@ -153,9 +211,7 @@ describe("CyberProfile NFT Contract", function () {
             const treasuryBalanceBefore = await ethers.provider.getBalance(treasury.address);
 
             await cyberProfile.connect(user1).mint(
-                user1.address,
-                TEST_TOKEN_URI,
-                fid,
+                ...await signVoucher(user1.address, TEST_TOKEN_URI, fid),
                 { value: baseMintPrice }
             );
 
@@ -168,9 +224,7 @@ describe("CyberProfile NFT Contract", function () {
             const fid2 = 2000;
 
             await cyberProfile.connect(user1).mint(
-                user1.address,
-                TEST_TOKEN_URI,
-                fid1,
+                ...await signVoucher(user1.address, TEST_TOKEN_URI, fid1),
                 { value: baseMintPrice }
             );
 
@@ -178,9 +232,7 @@ describe("CyberProfile NFT Contract", function () {
             expect(params.currentSupply).to.equal(1);
 
             await cyberProfile.connect(user2).mint(
-                user2.address,
-                TEST_TOKEN_URI,
-                fid2,
+                ...await signVoucher(user2.address, TEST_TOKEN_URI, fid2),
                 { value: baseMintPrice }
             );
 
@@ -189,6 +241,370 @@ describe("CyberProfile NFT Contract", function () {
         });
     });
 
+    describe("Mint Vouchers", function () {
+        it("Should accept a voucher signed by the owner", async function () {
+            await expect(
+                cyberProfile.connect(user1).mint(
+                    ...await signVoucher(user1.address, TEST_TOKEN_URI, 12345, {}, owner),
+                    { value: baseMintPrice }
+                )
+            ).to.emit(cyberProfile, "CyberProfileMinted");
+        });
+
+        it("Should reject a voucher signed by anyone else", async function () {
+            await expect(
+                cyberProfile.connect(user1).mint(
+                    ...await signVoucher(user1.address, TEST_TOKEN_URI, 12345, {}, user1),
+                    { value: baseMintPrice }
+                )
+            ).to.be.revertedWith("Invalid voucher signature");
+        });
+
+        it("Should reject an expired voucher", async function () {
+            const { timestamp } = await ethers.provider.getBlock("latest");
+
+            await expect(
+                cyberProfile.connect(user1).mint(
+                    ...await signVoucher(user1.address, TEST_TOKEN_URI, 12345, { expiry: timestamp - 1 }),
+                    { value: baseMintPrice }
+                )
+            ).to.be.revertedWith("Voucher expired");
+        });
+
+        it("Should reject a voucher with a different token URI", async function () {
+            const [voucher, signature] = await signVoucher(user1.address, TEST_TOKEN_URI, 12345);
+
+            await expect(
+                cyberProfile.connect(user1).mint(
+                    { ...voucher, tokenURI: "ipfs://QmSomethingElse" },
+                    signature,
+                    { value: baseMintPrice }
+                )
+            ).to.be.revertedWith("Invalid voucher signature");
+        });
+
+        it("Should reject a voucher redirected to another recipient", async function () {
+            const [voucher, signature] = await signVoucher(user1.address, TEST_TOKEN_URI, 12345);
+
+            await expect(
+                cyberProfile.connect(user2).mint(
+                    { ...voucher, to: user2.address },
+                    signature,
+                    { value: baseMintPrice }
+                )
+            ).to.be.revertedWith("Invalid voucher signature");
+        });
+
+        it("Should reject a voucher upgraded to the Pro tier", async function () {
+            const [voucher, signature] = await signVoucher(user1.address, TEST_TOKEN_URI, 12345);
+
+            await expect(
+                cyberProfile.connect(user1).mint(
+                    { ...voucher, isPro: true },
+                    signature,
+                    { value: proMintPrice }
+                )
+            ).to.be.revertedWith("Invalid voucher signature");
+        });
+
+        it("Should charge the price tier bound in the voucher", async function () {
+            await expect(
+                cyberProfile.connect(user1).mint(
+                    ...await signVoucher(user1.address, TEST_TOKEN_URI, 12345, { isPro: true }),
+                    { value: proMintPrice }
+                )
+            ).to.emit(cyberProfile, "CyberProfileMinted")
+                .withArgs(user1.address, 0, 12345, true, proMintPrice);
+        });
+    });
+
+    describe("Re-rolls", function () {
+        const REROLL_URI = "ipfs://QmRerolled";
+
+        beforeEach(async function () {
+            await cyberProfile.connect(user1).mint(
+                ...await signVoucher(user1.address, TEST_TOKEN_URI, 12345),
+                { value: baseMintPrice }
+            );
+        });
+
+        it("Should default the fee to the base mint price", async function () {
+            expect(await cyberProfile.rerollFee()).to.equal(baseMintPrice);
+            expect(await cyberProfile.maxRerollsPerToken()).to.equal(3);
+        });
+
+        it("Should replace the token URI and emit MetadataUpdate", async function () {
+            const treasuryBefore = await ethers.provider.getBalance(treasury.address);
+
+            await expect(
+                cyberProfile.connect(user1).reroll(
+                    ...await signRerollVoucher(user1.address, REROLL_URI, 0),
+                    { value: baseMintPrice }
+                )
+            ).to.emit(cyberProfile, "MetadataUpdate").withArgs(0)
+                .and.to.emit(cyberProfile, "TokenRerolled").withArgs(0, 12345, REROLL_URI, 1, baseMintPrice);
+
+            expect(await cyberProfile.tokenURI(0)).to.equal(REROLL_URI);
+            expect(await cyberProfile.rerollCount(0)).to.equal(1);
+            expect(await ethers.provider.getBalance(treasury.address)).to.equal(treasuryBefore.add(baseMintPrice));
+        });
+
+        it("Should reject a re-roll by someone other than the holder", async function () {
+            await expect(
+                cyberProfile.connect(user2).reroll(
+                    ...await signRerollVoucher(user2.address, REROLL_URI, 0),
+                    { value: baseMintPrice }
+                )
+            ).to.be.revertedWith("Not token owner");
+        });
+
+        it("Should reject a voucher issued to a previous holder", async function () {
+            const voucher = await signRerollVoucher(user1.address, REROLL_URI, 0);
+            await cyberProfile.connect(user1).transferFrom(user1.address, user2.address, 0);
+
+            await expect(
+                cyberProfile.connect(user2).reroll(...voucher, { value: baseMintPrice })
+            ).to.be.revertedWith("Voucher issued to another holder");
+        });
+
+        it("Should reject a voucher that was already used", async function () {
+            const voucher = await signRerollVoucher(user1.address, REROLL_URI, 0);
+            await cyberProfile.connect(user1).reroll(...voucher, { value: baseMintPrice });
+
+            await expect(
+                cyberProfile.connect(user1).reroll(...voucher, { value: baseMintPrice })
+            ).to.be.revertedWith("Voucher already used");
+        });
+
+        it("Should reject a voucher signed by anyone else", async function () {
+            await expect(
+                cyberProfile.connect(user1).reroll(
+                    ...await signRerollVoucher(user1.address, REROLL_URI, 0, {}, user1),
+                    { value: baseMintPrice }
+                )
+            ).to.be.revertedWith("Invalid voucher signature");
+        });
+
+        it("Should require the re-roll fee", async function () {
+            await expect(
+                cyberProfile.connect(user1).reroll(
+                    ...await signRerollVoucher(user1.address, REROLL_URI, 0),
+                    { value: proMintPrice }
+                )
+            ).to.be.revertedWith("Insufficient payment");
+        });
+
+        it("Should cap re-rolls per token", async function () {
+            await cyberProfile.updateRerollParams(proMintPrice, 1);
+            await cyberProfile.connect(user1).reroll(
+                ...await signRerollVoucher(user1.address, REROLL_URI, 0),
+                { value: proMintPrice }
+            );
+
+            await expect(
+                cyberProfile.connect(user1).reroll(
+                    ...await signRerollVoucher(user1.address, "ipfs://QmAgain", 0),
+                    { value: proMintPrice }
+                )
+            ).to.be.revertedWith("Re-roll limit reached");
+        });
+
+        it("Should reject re-roll parameter updates from non-owner", async function () {
+            await expect(
+                cyberProfile.connect(user1).updateRerollParams(0, 10)
+            ).to.be.revertedWith("Ownable: caller is not the owner");
+        });
+    });
+
+    describe("Metadata Updates (ERC-4906)", function () {
+        const FIXED_URI = "ipfs://QmFixed";
+
+        beforeEach(async function () {
+            for (const [user, fid] of [[user1, 12345], [user2, 23456]]) {
+                await cyberProfile.connect(user).mint(
+                    ...await signVoucher(user.address, TEST_TOKEN_URI, fid),
+                    { value: baseMintPrice }
+                );
+            }
+        });
+
+        it("Should support the ERC-4906 interface", async function () {
+            expect(await cyberProfile.supportsInterface("0x49064906")).to.equal(true);
+        });
+
+        it("Should allow owner to set a token URI", async function () {
+            await expect(cyberProfile.setTokenURI(0, FIXED_URI))
+                .to.emit(cyberProfile, "MetadataUpdate").withArgs(0);
+
+            expect(await cyberProfile.tokenURI(0)).to.equal(FIXED_URI);
+        });
+
+        it("Should allow owner to batch set token URIs", async function () {
+            await expect(cyberProfile.batchSetTokenURI([0, 1], [FIXED_URI, "ipfs://QmFixed2"]))
+                .to.emit(cyberProfile, "MetadataUpdate").withArgs(1);
+
+            expect(await cyberProfile.tokenURI(0)).to.equal(FIXED_URI);
+            expect(await cyberProfile.tokenURI(1)).to.equal("ipfs://QmFixed2");
+        });
+
+        it("Should reject URIs for nonexistent tokens", async function () {
+            await expect(
+                cyberProfile.setTokenURI(5, FIXED_URI)
+            ).to.be.revertedWith("Token does not exist");
+
+            await expect(
+                cyberProfile.batchSetTokenURI([0, 5], [FIXED_URI, FIXED_URI])
+            ).to.be.revertedWith("Token does not exist");
+        });
+
+        it("Should reject mismatched batch arrays", async function () {
+            await expect(
+                cyberProfile.batchSetTokenURI([0, 1], [FIXED_URI])
+            ).to.be.revertedWith("Array lengths must match");
+        });
+
+        it("Should emit BatchMetadataUpdate for a refresh", async function () {
+            await expect(cyberProfile.refreshMetadata(0, 1))
+                .to.emit(cyberProfile, "BatchMetadataUpdate").withArgs(0, 1);
+
+            await expect(
+                cyberProfile.refreshMetadata(0, 2)
+            ).to.be.revertedWith("Invalid token range");
+        });
+
+        it("Should reject URI updates from non-owner", async function () {
+            await expect(
+                cyberProfile.connect(user1).setTokenURI(0, FIXED_URI)
+            ).to.be.revertedWith("Ownable: caller is not the owner");
+
+            await expect(
+                cyberProfile.connect(user1).refreshMetadata(0, 1)
+            ).to.be.revertedWith("Ownable: caller is not the owner");
+        });
+    });
+
+    describe("Transfer Policy", function () {
+        beforeEach(async function () {
+            await cyberProfile.connect(user1).mint(
+                ...await signVoucher(user1.address, TEST_TOKEN_URI, 12345),
+                { value: baseMintPrice }
+            );
+        });
+
+        it("Should be transferable by default", async function () {
+            expect(await cyberProfile.transferPolicy()).to.equal(TransferPolicy.Transferable);
+
+            await cyberProfile.connect(user1).transferFrom(user1.address, user2.address, 0);
+            expect(await cyberProfile.ownerOf(0)).to.equal(user2.address);
+        });
+
+        it("Should allow owner to change the policy", async function () {
+            await expect(cyberProfile.setTransferPolicy(TransferPolicy.Soulbound))
+                .to.emit(cyberProfile, "TransferPolicyUpdated")
+                .withArgs(TransferPolicy.Soulbound);
+
+            expect(await cyberProfile.transferPolicy()).to.equal(TransferPolicy.Soulbound);
+        });
+
+        it("Should reject policy changes from non-owner", async function () {
+            await expect(
+                cyberProfile.connect(user1).setTransferPolicy(TransferPolicy.Soulbound)
+            ).to.be.revertedWith("Ownable: caller is not the owner");
+        });
+
+        it("Should block every transfer when soulbound", async function () {
+            await cyberProfile.setTransferPolicy(TransferPolicy.Soulbound);
+
+            await expect(
+                cyberProfile.connect(user1).transferFrom(user1.address, user2.address, 0)
+            ).to.be.revertedWith("Token is soulbound");
+
+            await expect(
+                cyberProfile.connect(user1)["safeTransferFrom(address,address,uint256)"](user1.address, user2.address, 0)
+            ).to.be.revertedWith("Token is soulbound");
+
+            await expect(
+                cyberProfile.connect(user1).transferToVerifiedWallet(
+                    ...await signTransferVoucher(user1.address, user2.address, 0)
+                )
+            ).to.be.revertedWith("Token is soulbound");
+        });
+
+        it("Should still mint when soulbound", async function () {
+            await cyberProfile.setTransferPolicy(TransferPolicy.Soulbound);
+
+            await expect(
+                cyberProfile.connect(user2).mint(
+                    ...await signVoucher(user2.address, TEST_TOKEN_URI, 23456),
+                    { value: baseMintPrice }
+                )
+            ).to.emit(cyberProfile, "CyberProfileMinted");
+        });
+
+        it("Should require a voucher for same-FID transfers", async function () {
+            await cyberProfile.setTransferPolicy(TransferPolicy.SameFid);
+
+            await expect(
+                cyberProfile.connect(user1).transferFrom(user1.address, user2.address, 0)
+            ).to.be.revertedWith("Transfers require a same-FID voucher");
+
+            await expect(
+                cyberProfile.connect(user1).transferToVerifiedWallet(
+                    ...await signTransferVoucher(user1.address, user2.address, 0)
+                )
+            ).to.emit(cyberProfile, "Transfer").withArgs(user1.address, user2.address, 0);
+
+            expect(await cyberProfile.ownerOf(0)).to.equal(user2.address);
+        });
+
+        it("Should reject a transfer voucher signed by anyone else", async function () {
+            await cyberProfile.setTransferPolicy(TransferPolicy.SameFid);
+
+            await expect(
+                cyberProfile.connect(user1).transferToVerifiedWallet(
+                    ...await signTransferVoucher(user1.address, user2.address, 0, {}, user1)
+                )
+            ).to.be.revertedWith("Invalid voucher signature");
+        });
+
+        it("Should reject a transfer voucher redirected to another wallet", async function () {
+            await cyberProfile.setTransferPolicy(TransferPolicy.SameFid);
+            const [voucher, signature] = await signTransferVoucher(user1.address, user2.address, 0);
+
+            await expect(
+                cyberProfile.connect(user1).transferToVerifiedWallet({ ...voucher, to: user3.address }, signature)
+            ).to.be.revertedWith("Invalid voucher signature");
+        });
+
+        it("Should reject a transfer voucher once the token has moved", async function () {
+            await cyberProfile.setTransferPolicy(TransferPolicy.SameFid);
+            const voucher = await signTransferVoucher(user1.address, user2.address, 0);
+            await cyberProfile.connect(user1).transferToVerifiedWallet(...voucher);
+
+            await expect(
+                cyberProfile.connect(user2).transferToVerifiedWallet(...voucher)
+            ).to.be.revertedWith("Voucher issued to another owner");
+        });
+
+        it("Should reject an expired transfer voucher", async function () {
+            const { timestamp } = await ethers.provider.getBlock("latest");
+
+            await expect(
+                cyberProfile.connect(user1).transferToVerifiedWallet(
+                    ...await signTransferVoucher(user1.address, user2.address, 0, { expiry: timestamp - 1 })
+                )
+            ).to.be.revertedWith("Voucher expired");
+        });
+
+        it("Should reject a voucher transfer by someone other than the owner", async function () {
+            await expect(
+                cyberProfile.connect(user2).transferToVerifiedWallet(
+                    ...await signTransferVoucher(user1.address, user2.address, 0)
+                )
+            ).to.be.revertedWith("Not owner or approved");
+        });
+    });
+
     describe("Parameter Updates", function () {
         it("Should allow owner to update FID range", async function () {
             const newMin = 5000;
@@ -296,9 +712,7 @@ describe("CyberProfile NFT Contract", function () {
 
             // Mint
             await cyberProfile.connect(user1).mint(
-                user1.address,
-                TEST_TOKEN_URI,
-                fid,
+                ...await signVoucher(user1.address, TEST_TOKEN_URI, fid),
                 { value: baseMintPrice }
             );
 
@@ -323,9 +737,7 @@ describe("CyberProfile NFT Contract", function () {
 
             await expect(
                 cyberProfile.connect(user1).mint(
-                    user1.address,
-                    TEST_TOKEN_URI,
-                    12345,
+                    ...await signVoucher(user1.address, TEST_TOKEN_URI, 12345),
                     { value: baseMintPrice }
                 )
             ).to.be.revertedWith("Pausable: paused");
@@ -354,6 +766,18 @@ describe("CyberProfile NFT Contract", function () {
             expect(params.currentSupply).to.equal(3);
         });
 
+        it("Should emit a mint event for every token in the batch", async function () {
+            const recipients = [user1.address, user2.address];
+            const tokenURIs = [TEST_TOKEN_URI, TEST_TOKEN_URI];
+            const fids = [1000, 2000];
+
+            await expect(cyberProfile.batchMint(recipients, tokenURIs, fids))
+                .to.emit(cyberProfile, "CyberProfileMinted")
+                .withArgs(user1.address, 0, 1000, false, 0)
+                .and.to.emit(cyberProfile, "CyberProfileMinted")
+                .withArgs(user2.address, 1, 2000, false, 0);
+        });
+
         it("Should reject batch mint from non-owner", async function () {
             const recipients = [user1.address];
             const tokenURIs = [TEST_TOKEN_URI];
@@ -370,9 +794,7 @@ describe("CyberProfile NFT Contract", function () {
             const fid = 12345;
 
             await cyberProfile.connect(user1).mint(
-                user1.address,
-                TEST_TOKEN_URI,
-                fid,
+                ...await signVoucher(user1.address, TEST_TOKEN_URI, fid),
                 { value: baseMintPrice }
             );
 
@@ -383,9 +805,7 @@ describe("CyberProfile NFT Contract", function () {
             const fid = 99999;
 
             await cyberProfile.connect(user1).mint(
-                user1.address,
-                TEST_TOKEN_URI,
-                fid,
+                ...await signVoucher(user1.address, TEST_TOKEN_URI, fid),
                 { value: baseMintPrice }
             );
 
@@ -407,18 +827,14 @@ describe("CyberProfile NFT Contract", function () {
 
             // First mint should succeed
             await cyberProfile.connect(user1).mint(
-                user1.address,
-                TEST_TOKEN_URI,
-                1000,
+                ...await signVoucher(user1.address, TEST_TOKEN_URI, 1000),
                 { value: baseMintPrice }
             );
 
             // Second mint should fail
             await expect(
                 cyberProfile.connect(user2).mint(
-                    user2.address,
-                    TEST_TOKEN_URI,
-                    2000,
+                    ...await signVoucher(user2.address, TEST_TOKEN_URI, 2000),
                     { value: baseMintPrice }
                 )
             ).to.be.revertedWith("Max supply reached");
@@ -0,0 +1,146 @@
+// lib/admin-auth.js - Sign-In-With-Ethereum sessions for the admin API
+const crypto = require('crypto');
+const { SiweMessage, generateNonce } = require('siwe');
+const { getCyberProfileContract } = require('./contract');
+
+/**
+ * Error with the HTTP status to respond with
+ */
+class AdminAuthError extends Error {
+    constructor(message, status = 401) {
+        super(message);
+        this.name = 'AdminAuthError';
+        this.status = status;
+    }
+}
+
+// The SIWE statement admin.html signs - a message signed for any other
+// purpose (such as linking a wallet to an FID) cannot open a session
+const ADMIN_STATEMENT = 'Sign in to the CyberProfile admin dashboard.';
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Create the admin auth service
+ *
+ * An address may administer the deployment if it is the contract `owner()`
+ * or appears in `adminAddresses`. Sessions are opaque bearer tokens; only
+ * their SHA-256 hash is stored.
+ */
+function createAdminAuth({
+    storage,
+    provider,
+    contractAddress,
+    adminAddresses = [],
+    domain,
+    nonceTtl = 10 * 60 * 1000,
+    sessionTtl = 12 * 60 * 60 * 1000
+}) {
+    const allowList = new Set(adminAddresses.map(address => address.toLowerCase()));
+
+    async function isAdminAddress(address) {
+        if (allowList.has(address.toLowerCase())) return true;
+        if (!contractAddress) return false;
+
+        try {
+            const owner = await getCyberProfileContract(contractAddress, provider).owner();
+            return owner.toLowerCase() === address.toLowerCase();
+        } catch (error) {
+            console.error('Error reading contract owner:', error.message);
+            return false;
+        }
+    }
+
+    /**
+     * Issue a single-use nonce for a SIWE message
+     */
+    async function issueNonce() {
+        const nonce = generateNonce();
+        const expiresAt = Date.now() + nonceTtl;
+        await storage.saveAuthNonce(nonce, expiresAt, 'admin');
+        return { nonce, expiresAt };
+    }
+
+    /**
+     * Verify a signed SIWE message and open a session for an admin address
+     */
+    async function login({ message, signature }) {
+        if (!message || !signature) {
+            throw new AdminAuthError('Missing message or signature', 400);
+        }
+
+        let siweMessage;
+        try {
+            siweMessage = new SiweMessage(message);
+        } catch (error) {
+            throw new AdminAuthError('Malformed SIWE message', 400);
+        }
+
+        if (siweMessage.statement !== ADMIN_STATEMENT) {
+            throw new AdminAuthError(`Message must state "${ADMIN_STATEMENT}"`, 400);
+        }
+        if (!(await storage.consumeAuthNonce(siweMessage.nonce, 'admin'))) {
+            throw new AdminAuthError('Invalid or expired nonce');
+        }
+
+        try {
+            await siweMessage.verify({ signature, domain, nonce: siweMessage.nonce }, { provider });
+        } catch (error) {
+            throw new AdminAuthError(`Signature verification failed: ${error.error?.type || error.message}`);
+        }
+
+        const address = siweMessage.address;
+        if (!(await isAdminAddress(address))) {
+            throw new AdminAuthError('Address is not an admin', 403);
+        }
+
+        const token = crypto.randomBytes(32).toString('hex');
+        const expiresAt = Date.now() + sessionTtl;
+        await storage.saveAdminSession({ tokenHash: hashToken(token), address, expiresAt });
+
+        console.log('Admin signed in:', address);
+        return { token, address, expiresAt };
+    }
+
+    async function getSession(token) {
+        if (!token) return null;
+        const session = await storage.getAdminSession(hashToken(token));
+        if (!session || session.expiresAt < Date.now()) return null;
+        return session;
+    }
+
+    async function logout(token) {
+        if (token) await storage.deleteAdminSession(hashToken(token));
+    }
+
+    /**
+     * Express middleware - rejects requests without a valid admin session
+     */
+    async function requireAdmin(req, res, next) {
+        try {
+            const session = await getSession(getBearerToken(req));
+            if (!session) {
+                return res.status(401).json({ error: 'Admin authentication required' });
+            }
+            req.admin = session;
+            next();
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    return { issueNonce, login, logout, getSession, requireAdmin };
+}
+
+/**
+ * Extract the token from an `Authorization: Bearer <token>` header
+ */
+function getBearerToken(req) {
+    const header = req.get('Authorization') || '';
+    const [scheme, token] = header.split(' ');
+    return scheme === 'Bearer' && token ? token : null;
+}
+
+module.exports = { createAdminAuth, getBearerToken, AdminAuthError, ADMIN_STATEMENT };
@@ -0,0 +1,153 @@
+// lib/contract.js - CyberProfile contract ABI and helpers
+const { ethers } = require('ethers');
+
+// Human-readable ABI for the parts of CyberProfile.sol the server uses
+const CYBER_PROFILE_ABI = [
+    // Events
+    'event CyberProfileMinted(address indexed minter, uint256 indexed tokenId, uint256 indexed fid, bool isPro, uint256 pricePaid)',
+    'event MintingParamsUpdated(uint256 minFid, uint256 maxFid, uint256 baseMintPrice, uint256 proMintPrice, uint256 maxSupply)',
+    'event ProStatusUpdated(uint256 indexed fid, bool isPro)',
+    'event RoyaltyUpdated(address indexed receiver, uint96 basisPoints)',
+    'event TokenRerolled(uint256 indexed tokenId, uint256 indexed fid, string tokenURI, uint256 rerollCount, uint256 feePaid)',
+    'event RerollParamsUpdated(uint256 fee, uint256 maxRerollsPerToken)',
+    'event TransferPolicyUpdated(uint8 policy)',
+    'event MetadataUpdate(uint256 _tokenId)',
+    'event BatchMetadataUpdate(uint256 _fromTokenId, uint256 _toTokenId)',
+
+    // Views
+    'function owner() view returns (address)',
+    'function oracle() view returns (address)',
+    'function treasury() view returns (address)',
+    'function paused() view returns (bool)',
+    'function hasMinted(uint256 fid) view returns (bool)',
+    'function isProUser(uint256 fid) view returns (bool)',
+    'function isEligible(uint256 fid) view returns (bool)',
+    'function getMintPrice(uint256 fid, bool isPro) view returns (uint256)',
+    'function getTokenIdByFid(uint256 fid) view returns (uint256)',
+    'function getMintingParams() view returns (tuple(uint256 minFid, uint256 maxFid, uint256 baseMintPrice, uint256 proMintPrice, uint256 maxSupply, uint256 currentSupply, bool requireProForDiscount))',
+    'function getRoyaltyInfo() view returns (address receiver, uint96 basisPoints)',
+    'function tokenURI(uint256 tokenId) view returns (string)',
+    'function ownerOf(uint256 tokenId) view returns (address)',
+    'function rerollFee() view returns (uint256)',
+    'function maxRerollsPerToken() view returns (uint256)',
+    'function rerollCount(uint256 tokenId) view returns (uint256)',
+    'function transferPolicy() view returns (uint8)',
+
+    // Admin
+    'function updateMintingParams(uint256 _minFid, uint256 _maxFid, uint256 _baseMintPrice, uint256 _proMintPrice, uint256 _maxSupply)',
+    'function updateProStatus(uint256 fid, bool isPro)',
+    'function batchUpdateProStatus(uint256[] fids, bool[] statuses)',
+    'function updateRoyalty(address receiver, uint96 basisPoints)',
+    'function updateRerollParams(uint256 _rerollFee, uint256 _maxRerollsPerToken)',
+    'function setTokenURI(uint256 tokenId, string uri)',
+    'function batchSetTokenURI(uint256[] tokenIds, string[] uris)',
+    'function refreshMetadata(uint256 fromTokenId, uint256 toTokenId)',
+    'function setTransferPolicy(uint8 policy)',
+    'function pause()',
+    'function unpause()'
+];
+
+const cyberProfileInterface = new ethers.utils.Interface(CYBER_PROFILE_ABI);
+
+// EIP-712 types of the voucher `mint` requires (see MINT_VOUCHER_TYPEHASH)
+const MINT_VOUCHER_TYPES = {
+    MintVoucher: [
+        { name: 'fid', type: 'uint256' },
+        { name: 'to', type: 'address' },
+        { name: 'tokenURI', type: 'string' },
+        { name: 'isPro', type: 'bool' },
+        { name: 'expiry', type: 'uint256' }
+    ]
+};
+
+// EIP-712 types of the voucher `reroll` requires (see REROLL_VOUCHER_TYPEHASH)
+const REROLL_VOUCHER_TYPES = {
+    RerollVoucher: [
+        { name: 'tokenId', type: 'uint256' },
+        { name: 'holder', type: 'address' },
+        { name: 'tokenURI', type: 'string' },
+        { name: 'rerollIndex', type: 'uint256' },
+        { name: 'expiry', type: 'uint256' }
+    ]
+};
+
+// EIP-712 types of the voucher `transferToVerifiedWallet` requires (see TRANSFER_VOUCHER_TYPEHASH)
+const TRANSFER_VOUCHER_TYPES = {
+    TransferVoucher: [
+        { name: 'tokenId', type: 'uint256' },
+        { name: 'from', type: 'address' },
+        { name: 'to', type: 'address' },
+        { name: 'expiry', type: 'uint256' }
+    ]
+};
+
+// TransferPolicy enum values, by index
+const TRANSFER_POLICIES = ['transferable', 'soulbound', 'same-fid'];
+
+function voucherDomain({ chainId, contractAddress }) {
+    return { name: 'CyberProfile', version: '1', chainId, verifyingContract: contractAddress };
+}
+
+/**
+ * Get a CyberProfile contract instance
+ */
+function getCyberProfileContract(address, signerOrProvider) {
+    return new ethers.Contract(address, CYBER_PROFILE_ABI, signerOrProvider);
+}
+
+/**
+ * Sign a mint voucher with the oracle (or owner) wallet
+ * Resolves to the 65-byte signature as a hex string
+ */
+function signMintVoucher(signer, deployment, voucher) {
+    return signer._signTypedData(voucherDomain(deployment), MINT_VOUCHER_TYPES, voucher);
+}
+
+/**
+ * Sign a re-roll voucher with the oracle (or owner) wallet
+ */
+function signRerollVoucher(signer, deployment, voucher) {
+    return signer._signTypedData(voucherDomain(deployment), REROLL_VOUCHER_TYPES, voucher);
+}
+
+/**
+ * Sign a same-FID transfer voucher with the oracle (or owner) wallet
+ */
+function signTransferVoucher(signer, deployment, voucher) {
+    return signer._signTypedData(voucherDomain(deployment), TRANSFER_VOUCHER_TYPES, voucher);
+}
+
+/**
+ * Decode a raw log into { name, args } with BigNumbers as decimal strings
+ * Returns null for logs that are not CyberProfile events
+ */
+function decodeCyberProfileLog(log) {
+    let parsed;
+    try {
+        parsed = cyberProfileInterface.parseLog(log);
+    } catch (error) {
+        return null;
+    }
+
+    const args = {};
+    parsed.eventFragment.inputs.forEach((input, i) => {
+        const value = parsed.args[i];
+        args[input.name] = ethers.BigNumber.isBigNumber(value) ? value.toString() : value;
+    });
+
+    return { name: parsed.name, args };
+}
+
+module.exports = {
+    CYBER_PROFILE_ABI,
+    cyberProfileInterface,
+    MINT_VOUCHER_TYPES,
+    REROLL_VOUCHER_TYPES,
+    TRANSFER_VOUCHER_TYPES,
+    TRANSFER_POLICIES,
+    getCyberProfileContract,
+    signMintVoucher,
+    signRerollVoucher,
+    signTransferVoucher,
+    decodeCyberProfileLog
+};
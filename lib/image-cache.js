@@ -0,0 +1,113 @@
+// lib/image-cache.js - Bounded on-disk cache for generated images
+//
+// Bytes live in `dir` as <key>.png; the index (size, created and last-access
+// times) lives in storage so LRU order survives restarts. Entries expire
+// `ttl` after creation and the least recently used are evicted once either
+// `maxBytes` or `maxEntries` is exceeded.
+const fs = require('fs/promises');
+const path = require('path');
+
+const KEY_PATTERN = /^[0-9a-f]{64}$/;
+
+function createImageCache({ storage, dir, maxBytes = 1024 * 1024 * 1024, maxEntries = 5000, ttl = 30 * 24 * 60 * 60 * 1000 }) {
+    // key -> { size, createdAt }, kept in least-recently-used-first order
+    const index = new Map();
+    let totalBytes = 0;
+
+    function filePath(key) {
+        if (!KEY_PATTERN.test(key)) {
+            throw new Error(`Invalid image cache key: ${key}`);
+        }
+        return path.join(dir, `${key}.png`);
+    }
+
+    async function remove(key) {
+        const entry = index.get(key);
+        if (entry) {
+            index.delete(key);
+            totalBytes -= entry.size;
+        }
+        await storage.deleteCachedImage(key);
+        await fs.rm(filePath(key), { force: true });
+    }
+
+    function has(key) {
+        const entry = index.get(key);
+        return !!entry && entry.createdAt >= Date.now() - ttl;
+    }
+
+    async function evict() {
+        const expiredBefore = Date.now() - ttl;
+        for (const [key, entry] of index) {
+            if (entry.createdAt < expiredBefore) await remove(key);
+        }
+        for (const key of index.keys()) {
+            if (totalBytes <= maxBytes && index.size <= maxEntries) break;
+            await remove(key);
+        }
+    }
+
+    return {
+        /**
+         * Load the index and reconcile it with the files on disk
+         */
+        async init() {
+            await fs.mkdir(dir, { recursive: true });
+            const files = new Set(await fs.readdir(dir));
+
+            for (const entry of await storage.listCachedImages()) {
+                if (files.delete(`${entry.key}.png`)) {
+                    index.set(entry.key, { size: entry.size, createdAt: entry.createdAt });
+                    totalBytes += entry.size;
+                } else {
+                    await storage.deleteCachedImage(entry.key);
+                }
+            }
+
+            // Files without an index row (e.g. written before a crash) are orphans
+            for (const file of files) {
+                if (file.endsWith('.png')) await fs.rm(path.join(dir, file), { force: true });
+            }
+
+            await evict();
+        },
+
+        has,
+
+        /**
+         * Read an image, marking it recently used; null when missing or expired
+         */
+        async get(key) {
+            if (!has(key)) return null;
+
+            const entry = index.get(key);
+            index.delete(key);
+            index.set(key, entry);
+            await storage.touchCachedImage(key, Date.now());
+
+            try {
+                return await fs.readFile(filePath(key));
+            } catch (error) {
+                await remove(key);
+                return null;
+            }
+        },
+
+        async put(key, buffer) {
+            if (index.has(key)) await remove(key);
+
+            await fs.writeFile(filePath(key), buffer);
+            await storage.saveCachedImage({ key, size: buffer.length });
+            index.set(key, { size: buffer.length, createdAt: Date.now() });
+            totalBytes += buffer.length;
+
+            await evict();
+        },
+
+        stats() {
+            return { entries: index.size, bytes: totalBytes, maxEntries, maxBytes };
+        }
+    };
+}
+
+module.exports = { createImageCache };
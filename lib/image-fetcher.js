@@ -0,0 +1,173 @@
+// lib/image-fetcher.js - Guarded download of remote images
+//
+// Every outbound image request (profile pictures, provider results) goes
+// through here. Hosts must be on the allowlist, addresses are checked at
+// connect time so DNS rebinding cannot reach private ranges, redirects are
+// re-checked hop by hop, and the body is capped in bytes and time before
+// sharp confirms it is an image.
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const axios = require('axios');
+const sharp = require('sharp');
+
+// Hosts serving Farcaster profile pictures and image provider results
+const DEFAULT_ALLOWED_HOSTS = [
+    'imagedelivery.net',
+    'i.imgur.com',
+    'res.cloudinary.com',
+    'openseauserdata.com',
+    'i.seadn.io',
+    'lh3.googleusercontent.com',
+    'pbs.twimg.com',
+    'ipfs.io',
+    'gateway.pinata.cloud',
+    'api.together.ai',
+    'api.together.xyz',
+    'replicate.delivery'
+];
+
+const IMAGE_FORMATS = ['jpeg', 'png', 'webp', 'gif', 'heif'];
+
+// Loopback, private, link-local, CGNAT, multicast and reserved ranges
+const blockedRanges = new net.BlockList();
+[
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+    ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16],
+    ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([address, prefix]) => blockedRanges.addSubnet(address, prefix, 'ipv4'));
+[
+    ['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8], ['64:ff9b::', 96]
+].forEach(([address, prefix]) => blockedRanges.addSubnet(address, prefix, 'ipv6'));
+
+/**
+ * Whether an IP address is outside the public internet
+ */
+function isPrivateAddress(address) {
+    const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+    if (mapped) address = mapped[1];
+    return blockedRanges.check(address, net.isIPv4(address) ? 'ipv4' : 'ipv6');
+}
+
+/**
+ * Whether `hostname` is an allowlisted host or one of its subdomains
+ */
+function isAllowedHost(hostname, allowedHosts) {
+    return allowedHosts.some(host =>
+        host === '*' || hostname === host || hostname.endsWith(`.${host}`));
+}
+
+/**
+ * Create a guarded image fetcher
+ * @param {Object} options
+ * @param {string[]} options.allowedHosts hostnames (subdomains included); '*' allows any public host
+ * @param {boolean} options.allowPrivate permit private addresses, for local development only
+ */
+function createImageFetcher({
+    allowedHosts = DEFAULT_ALLOWED_HOSTS,
+    maxBytes = 10 * 1024 * 1024,
+    timeout = 15000,
+    maxRedirects = 3,
+    maxDimension = 4096,
+    allowPrivate = false
+} = {}) {
+    function lookup(hostname, options, callback) {
+        dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+            if (error) return callback(error);
+
+            const blocked = !allowPrivate && addresses.find(entry => isPrivateAddress(entry.address));
+            if (blocked) {
+                return callback(new Error(`${hostname} resolves to a private address`));
+            }
+            if (options.all) return callback(null, addresses);
+            callback(null, addresses[0].address, addresses[0].family);
+        });
+    }
+
+    const httpAgent = new http.Agent({ lookup });
+    const httpsAgent = new https.Agent({ lookup });
+
+    /**
+     * Check a URL (string or URL) before requesting it; returns an error message or null
+     */
+    function checkUrl(input) {
+        let url;
+        try {
+            url = new URL(input);
+        } catch (error) {
+            return 'Invalid URL';
+        }
+
+        if (url.protocol !== 'https:' && url.protocol !== 'http:') {
+            return `Unsupported protocol ${url.protocol}`;
+        }
+        if (url.username || url.password) {
+            return 'Credentials in URLs are not allowed';
+        }
+
+        const hostname = url.hostname.replace(/^\[|\]$/g, '').toLowerCase();
+        if (!isAllowedHost(hostname, allowedHosts)) {
+            return `Host ${hostname} is not allowed`;
+        }
+        // IP literals never reach the lookup hook
+        if (net.isIP(hostname) && !allowPrivate && isPrivateAddress(hostname)) {
+            return `Address ${hostname} is private`;
+        }
+        return null;
+    }
+
+    /**
+     * Download an image, following redirects only to allowed hosts
+     * Resolves to a Buffer that sharp can read
+     */
+    async function fetch(input) {
+        const signal = AbortSignal.timeout(timeout);
+        let url = new URL(input);
+
+        for (let hop = 0; ; hop++) {
+            const rejected = checkUrl(url);
+            if (rejected) {
+                throw new Error(`Refusing to fetch image: ${rejected}`);
+            }
+
+            const response = await axios.get(url.href, {
+                responseType: 'arraybuffer',
+                maxRedirects: 0,
+                maxContentLength: maxBytes,
+                validateStatus: status => status >= 200 && status < 400,
+                httpAgent,
+                httpsAgent,
+                proxy: false,
+                signal
+            });
+
+            if (response.status >= 300) {
+                if (hop >= maxRedirects || !response.headers.location) {
+                    throw new Error('Too many redirects fetching image');
+                }
+                url = new URL(response.headers.location, url);
+                continue;
+            }
+
+            const buffer = Buffer.from(response.data);
+            let metadata;
+            try {
+                metadata = await sharp(buffer).metadata();
+            } catch (error) {
+                throw new Error('Fetched file is not an image');
+            }
+            if (!IMAGE_FORMATS.includes(metadata.format)) {
+                throw new Error(`Unsupported image format: ${metadata.format}`);
+            }
+            if (Math.max(metadata.width, metadata.height) > maxDimension) {
+                throw new Error(`Image exceeds ${maxDimension}x${maxDimension} pixels`);
+            }
+            return buffer;
+        }
+    }
+
+    return { fetch, checkUrl };
+}
+
+module.exports = { DEFAULT_ALLOWED_HOSTS, isPrivateAddress, createImageFetcher };
@@ -0,0 +1,126 @@
+// lib/image-providers/index.js - Pluggable image generation with timeouts, retries and fallback
+//
+// A provider is an object with:
+//
+//   name
+//   isConfigured()                       false when credentials are missing
+//   generate(request, { signal })        resolves to { url, model, strength } (http(s) or data: URL)
+//
+// `request` carries { prompt, negativePrompt, width, height, seed, imageUrl, fid }
+// and, in img2img mode, `initImage` (normalized PNG as a data: URL), the same
+// PNG hosted on PUBLIC_BASE_URL as `initImageUrl`, and a `strength` between
+// 0 (keep the source) and 1 (ignore it) when one is configured. A provider
+// reports `strength` only if it applied it, and rejects a strength it cannot
+// apply with an error marked `retryable: false` so the chain moves on.
+// Providers must stop work when `signal` aborts.
+
+const providers = {
+    together: require('./together'),
+    replicate: require('./replicate'),
+    stub: require('./stub')
+};
+
+/**
+ * Register an additional provider factory
+ */
+function registerProvider(name, factory) {
+    providers[name] = factory;
+}
+
+/**
+ * Client errors (bad key, rejected prompt) will not succeed on retry;
+ * timeouts, rate limits, 5xx and network errors might
+ */
+function isRetryable(error) {
+    if (error.retryable === false) return false;
+    const status = error.response?.status;
+    return !status || status === 429 || status >= 500;
+}
+
+async function attempt(provider, request, timeout) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeout);
+
+    try {
+        return await Promise.race([
+            provider.generate(request, { signal: controller.signal }),
+            new Promise((resolve, reject) => {
+                controller.signal.addEventListener('abort', () => {
+                    reject(new Error(`${provider.name} timed out after ${timeout}ms`));
+                });
+            })
+        ]);
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+/**
+ * Create an image generator over an ordered provider chain
+ * @param {Object} options
+ * @param {string[]} options.chain provider names, primary first
+ * @param {Object} options.config per-provider options, e.g. { together: { apiKey, timeout, retries } }
+ */
+function createImageGenerator({ chain, config = {}, timeout = 60000, retries = 1, retryDelay = 1000 }) {
+    const instances = chain.map(name => {
+        const factory = providers[name];
+        if (!factory) {
+            throw new Error(`Unknown image provider: ${name}`);
+        }
+        const options = config[name] || {};
+        return {
+            provider: factory(options),
+            timeout: options.timeout || timeout,
+            retries: options.retries ?? retries
+        };
+    });
+
+    /**
+     * Generate one image, falling through the chain until a provider succeeds
+     * Resolves to { url, provider, model, strength }
+     */
+    async function generate(request) {
+        const failures = [];
+
+        for (const { provider, timeout, retries } of instances) {
+            if (!provider.isConfigured()) {
+                failures.push(`${provider.name}: not configured`);
+                continue;
+            }
+
+            for (let i = 0; i <= retries; i++) {
+                try {
+                    const { url, model, strength } = await attempt(provider, request, timeout);
+                    return { url, provider: provider.name, model: model || null, strength: strength ?? null };
+                } catch (error) {
+                    const message = error.response?.data?.error?.message || error.message;
+                    console.error(`Image provider ${provider.name} failed (attempt ${i + 1}/${retries + 1}):`, message);
+
+                    if (i === retries || !isRetryable(error)) {
+                        failures.push(`${provider.name}: ${message}`);
+                        break;
+                    }
+                    await new Promise(resolve => setTimeout(resolve, retryDelay * 2 ** i));
+                }
+            }
+        }
+
+        throw new Error(`All image providers failed (${failures.join('; ')})`);
+    }
+
+    return {
+        generate,
+
+        /**
+         * Provider chain with configuration state, for health checks
+         */
+        describe() {
+            return instances.map(({ provider }) => ({
+                name: provider.name,
+                configured: provider.isConfigured()
+            }));
+        }
+    };
+}
+
+module.exports = { createImageGenerator, registerProvider };
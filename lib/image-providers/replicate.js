@@ -0,0 +1,73 @@
+// lib/image-providers/replicate.js - Replicate image generation
+const axios = require('axios');
+
+/**
+ * Replicate provider - creates a prediction and polls until it settles
+ */
+function createReplicateProvider({
+    apiToken,
+    version = '39ed52f2a78e934b3ba6e2a89f5b1c712de7dfea535525255b1aa35c5565e08b',
+    pollInterval = 1000
+}) {
+    const headers = {
+        'Authorization': `Token ${apiToken}`,
+        'Content-Type': 'application/json'
+    };
+
+    return {
+        name: 'replicate',
+
+        isConfigured() {
+            return !!apiToken;
+        },
+
+        async generate({ prompt, negativePrompt, width, height, seed, initImage, strength }, { signal }) {
+            const response = await axios.post(
+                'https://api.replicate.com/v1/predictions',
+                {
+                    version,
+                    input: {
+                        prompt,
+                        negative_prompt: negativePrompt,
+                        width,
+                        height,
+                        seed,
+                        num_outputs: 1,
+                        guidance_scale: 7.5,
+                        num_inference_steps: 30,
+                        scheduler: 'K_EULER',
+                        // SDXL takes data: URLs for file inputs; prompt_strength is its img2img strength
+                        ...(initImage && { image: initImage, prompt_strength: strength })
+                    }
+                },
+                { headers, signal }
+            );
+
+            let prediction = response.data;
+
+            // Poll for completion - the generator's abort signal bounds this loop
+            while (!['succeeded', 'failed', 'canceled'].includes(prediction.status)) {
+                await new Promise(resolve => setTimeout(resolve, pollInterval));
+                if (signal.aborted) throw new Error('Replicate prediction timed out');
+
+                const statusResponse = await axios.get(
+                    `https://api.replicate.com/v1/predictions/${prediction.id}`,
+                    { headers, signal }
+                );
+                prediction = statusResponse.data;
+            }
+
+            if (prediction.status !== 'succeeded') {
+                throw new Error(`Replicate prediction ${prediction.status}: ${prediction.error || 'no output'}`);
+            }
+
+            return {
+                url: prediction.output[0],
+                model: version,
+                ...(initImage && strength != null && { strength })
+            };
+        }
+    };
+}
+
+module.exports = createReplicateProvider;
@@ -0,0 +1,58 @@
+// lib/image-providers/stub.js - Deterministic offline provider for development and tests
+const crypto = require('crypto');
+const sharp = require('sharp');
+
+/**
+ * Stub provider - renders a neon placeholder derived from a hash of the
+ * request, so the same profile and seed always produce the same PNG and
+ * each variant's seed gives a different one. With an init image the overlay
+ * is laid over the source at `strength` opacity.
+ */
+function createStubProvider({ size = 512 } = {}) {
+    return {
+        name: 'stub',
+
+        isConfigured() {
+            return true;
+        },
+
+        async generate({ prompt, imageUrl, fid, seed, initImage, strength }) {
+            const digest = crypto.createHash('sha256')
+                .update(JSON.stringify({ prompt, imageUrl, fid, seed, initImage, strength }))
+                .digest();
+
+            const hue = digest[0] * 360 / 256;
+            const accent = (hue + 120 + digest[1] % 60) % 360;
+            const lines = Array.from({ length: 8 }, (_, i) => {
+                const y = Math.round((digest[2 + i] / 255) * size);
+                return `<rect x="0" y="${y}" width="${size}" height="2" fill="hsl(${accent},100%,60%)" opacity="0.7"/>`;
+            }).join('');
+
+            const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${size}" height="${size}">
+                <defs><linearGradient id="g" x1="0" y1="0" x2="1" y2="1">
+                    <stop offset="0" stop-color="hsl(${hue},90%,15%)"/>
+                    <stop offset="1" stop-color="hsl(${accent},90%,35%)"/>
+                </linearGradient></defs>
+                <rect width="100%" height="100%" fill="url(#g)" opacity="${initImage ? strength ?? 1 : 1}"/>
+                ${lines}
+                <circle cx="${size / 2}" cy="${size / 2}" r="${size / 4}" fill="none" stroke="hsl(${hue},100%,65%)" stroke-width="6"/>
+            </svg>`;
+
+            const overlay = Buffer.from(svg);
+            const png = initImage
+                ? await sharp(Buffer.from(initImage.slice(initImage.indexOf(',') + 1), 'base64'))
+                    .resize(size, size)
+                    .composite([{ input: overlay }])
+                    .png()
+                    .toBuffer()
+                : await sharp(overlay).png().toBuffer();
+            return {
+                url: `data:image/png;base64,${png.toString('base64')}`,
+                model: 'stub',
+                ...(initImage && strength != null && { strength })
+            };
+        }
+    };
+}
+
+module.exports = createStubProvider;
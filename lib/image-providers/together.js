@@ -0,0 +1,57 @@
+// lib/image-providers/together.js - Together.ai image generation
+const axios = require('axios');
+
+/**
+ * Together.ai provider (text-to-image via the generations endpoint)
+ *
+ * img2img passes the hosted source as `image_url`, which the API fetches
+ * itself. The API takes no data: URLs and has no strength parameter, so a
+ * request with a strength is rejected for the next provider to handle
+ */
+function createTogetherProvider({
+    apiKey,
+    model = 'stabilityai/stable-diffusion-xl-base-1.0',
+    img2imgModel = 'black-forest-labs/FLUX.1-kontext-dev',
+    steps = 30
+}) {
+    return {
+        name: 'together',
+
+        isConfigured() {
+            return !!apiKey;
+        },
+
+        async generate({ prompt, negativePrompt, width, height, seed, initImageUrl, strength }, { signal }) {
+            if (initImageUrl && strength != null) {
+                throw Object.assign(new Error('Together cannot apply an img2img strength'), { retryable: false });
+            }
+
+            const response = await axios.post(
+                'https://api.together.xyz/v1/images/generations',
+                {
+                    model: initImageUrl ? img2imgModel : model,
+                    prompt,
+                    negative_prompt: negativePrompt,
+                    width,
+                    height,
+                    steps,
+                    n: 1,
+                    seed,
+                    ...(initImageUrl && { image_url: initImageUrl })
+                },
+                {
+                    headers: {
+                        'Authorization': `Bearer ${apiKey}`,
+                        'Content-Type': 'application/json'
+                    },
+                    signal
+                }
+            );
+
+            // Together.ai returns the image URL directly
+            return { url: response.data.data[0].url, model: initImageUrl ? img2imgModel : model };
+        }
+    };
+}
+
+module.exports = createTogetherProvider;
@@ -0,0 +1,166 @@
+// lib/indexer.js - Syncs CyberProfile contract events into storage
+const { cyberProfileInterface, decodeCyberProfileLog } = require('./contract');
+
+const INDEXED_EVENTS = [
+    'CyberProfileMinted',
+    'MintingParamsUpdated',
+    'ProStatusUpdated',
+    'RoyaltyUpdated',
+    'TokenRerolled',
+    'RerollParamsUpdated',
+    'TransferPolicyUpdated'
+];
+
+const CHECKPOINT_KEY = 'indexerCheckpoint';
+
+/**
+ * Create a chain event indexer
+ *
+ * Backfills from `startBlock`, then tails the chain every `pollInterval` ms.
+ * Only blocks with at least `confirmations` confirmations are indexed. If the
+ * hash of the checkpoint block changes (a reorg deeper than that), the indexer
+ * reverts the last `reorgDepth` blocks of events and scans them again.
+ *
+ * @param {Object} options
+ * @param {Function} [options.onSync] Called after every sync that applied or reverted events
+ */
+function createIndexer({
+    provider,
+    storage,
+    contractAddress,
+    startBlock = 0,
+    confirmations = 5,
+    reorgDepth = 20,
+    batchSize = 2000,
+    pollInterval = 15000,
+    onSync = async () => {}
+}) {
+    const topics = [INDEXED_EVENTS.map(name => cyberProfileInterface.getEventTopic(name))];
+
+    let timer = null;
+    let syncing = false;
+    let lastError = null;
+    let headBlock = null;
+
+    async function getCheckpoint() {
+        const checkpoint = await storage.getSetting(CHECKPOINT_KEY);
+        return checkpoint || { blockNumber: startBlock - 1, blockHash: null };
+    }
+
+    async function saveCheckpoint(blockNumber) {
+        const block = await provider.getBlock(blockNumber);
+        await storage.saveSetting(CHECKPOINT_KEY, { blockNumber, blockHash: block.hash });
+    }
+
+    /**
+     * Revert to an earlier block if the checkpoint block is no longer canonical
+     * Returns true if a reorg was handled
+     */
+    async function handleReorg(checkpoint) {
+        if (!checkpoint.blockHash) return false;
+
+        const block = await provider.getBlock(checkpoint.blockNumber);
+        if (block && block.hash === checkpoint.blockHash) return false;
+
+        const rewindTo = Math.max(startBlock - 1, checkpoint.blockNumber - reorgDepth);
+        console.warn(`Indexer: reorg detected at block ${checkpoint.blockNumber}, rewinding to ${rewindTo}`);
+
+        await storage.revertChainEventsAfter(rewindTo);
+        if (rewindTo >= startBlock) {
+            await saveCheckpoint(rewindTo);
+        } else {
+            await storage.saveSetting(CHECKPOINT_KEY, null);
+        }
+        return true;
+    }
+
+    /**
+     * Index all confirmed blocks since the checkpoint
+     */
+    async function syncOnce() {
+        if (syncing) return;
+        syncing = true;
+
+        try {
+            let changed = await handleReorg(await getCheckpoint());
+            let { blockNumber: fromBlock } = await getCheckpoint();
+            fromBlock += 1;
+
+            headBlock = await provider.getBlockNumber();
+            const safeBlock = headBlock - confirmations;
+
+            while (fromBlock <= safeBlock) {
+                const toBlock = Math.min(fromBlock + batchSize - 1, safeBlock);
+                const logs = await provider.getLogs({
+                    address: contractAddress,
+                    topics,
+                    fromBlock,
+                    toBlock
+                });
+
+                const events = logs
+                    .map(log => {
+                        const decoded = decodeCyberProfileLog(log);
+                        return decoded && {
+                            ...decoded,
+                            blockNumber: log.blockNumber,
+                            blockHash: log.blockHash,
+                            txHash: log.transactionHash,
+                            logIndex: log.logIndex
+                        };
+                    })
+                    .filter(Boolean);
+
+                if (events.length) {
+                    await storage.applyChainEvents(events);
+                    console.log(`Indexer: applied ${events.length} events from blocks ${fromBlock}-${toBlock}`);
+                    changed = true;
+                }
+
+                await saveCheckpoint(toBlock);
+                fromBlock = toBlock + 1;
+            }
+
+            lastError = null;
+            if (changed) await onSync();
+        } catch (error) {
+            lastError = error.message;
+            console.error('Indexer sync failed:', error.message);
+        } finally {
+            syncing = false;
+        }
+    }
+
+    async function tick() {
+        await syncOnce();
+        if (timer) timer = setTimeout(tick, pollInterval);
+    }
+
+    return {
+        syncOnce,
+
+        start() {
+            if (timer) return;
+            console.log(`Indexer: syncing ${contractAddress} from block ${startBlock}`);
+            timer = setTimeout(tick, 0);
+        },
+
+        stop() {
+            clearTimeout(timer);
+            timer = null;
+        },
+
+        async getStatus() {
+            const checkpoint = await getCheckpoint();
+            return {
+                running: !!timer,
+                syncedBlock: checkpoint.blockNumber,
+                headBlock,
+                confirmations,
+                lastError
+            };
+        }
+    };
+}
+
+module.exports = { createIndexer, INDEXED_EVENTS };
@@ -0,0 +1,157 @@
+// lib/job-queue.js - In-process job queue with a bounded worker pool
+//
+// Jobs live in memory: a restart drops queued and running jobs, and clients
+// resubmit. Finished jobs are kept for `ttl` so late pollers still see them.
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+
+const TERMINAL_STATUSES = ['succeeded', 'failed'];
+
+/**
+ * Error thrown when the queue is at capacity
+ */
+class QueueFullError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'QueueFullError';
+        this.status = 503;
+    }
+}
+
+/**
+ * Create a job queue
+ * @param {Object} options
+ * @param {Function} options.handler async (payload, report) => result; report(stage, progress) updates the job
+ * @param {number} options.concurrency jobs run at once
+ * @param {number} options.maxQueued waiting jobs before submit() rejects
+ */
+function createJobQueue({ handler, concurrency = 2, maxQueued = 100, ttl = 60 * 60 * 1000 }) {
+    const jobs = new Map();
+    const activeKeys = new Map();
+    const waiting = [];
+    const events = new EventEmitter();
+    let running = 0;
+
+    events.setMaxListeners(0);
+
+    function snapshot(job) {
+        const { payload, key, ...visible } = job;
+        return {
+            ...visible,
+            position: job.status === 'queued' ? waiting.indexOf(job) + 1 : 0
+        };
+    }
+
+    function update(job, changes) {
+        Object.assign(job, changes, { updatedAt: Date.now() });
+        events.emit(job.id, snapshot(job));
+    }
+
+    function prune() {
+        const cutoff = Date.now() - ttl;
+        for (const [id, job] of jobs) {
+            if (TERMINAL_STATUSES.includes(job.status) && job.updatedAt < cutoff) {
+                jobs.delete(id);
+            }
+        }
+    }
+
+    async function run(job) {
+        running++;
+        update(job, { status: 'running', stage: 'starting', startedAt: Date.now() });
+        // Everyone behind this job moved up one place
+        waiting.forEach(queued => events.emit(queued.id, snapshot(queued)));
+
+        try {
+            const result = await handler(job.payload, (stage, progress) => {
+                update(job, { stage, progress: Math.max(job.progress, Math.min(progress, 99)) });
+            });
+            update(job, { status: 'succeeded', stage: 'done', progress: 100, result });
+        } catch (error) {
+            update(job, { status: 'failed', stage: 'failed', error: error.message });
+        } finally {
+            running--;
+            if (job.key) activeKeys.delete(job.key);
+            drain();
+        }
+    }
+
+    function drain() {
+        while (running < concurrency && waiting.length > 0) {
+            run(waiting.shift());
+        }
+    }
+
+    const pruneTimer = setInterval(prune, Math.min(ttl, 60 * 1000));
+    pruneTimer.unref();
+
+    return {
+        /**
+         * Queue a job. With a `key`, a matching queued or running job is
+         * returned instead of starting a duplicate.
+         */
+        submit(payload, { key } = {}) {
+            if (key && activeKeys.has(key)) {
+                return snapshot(jobs.get(activeKeys.get(key)));
+            }
+            if (waiting.length >= maxQueued) {
+                throw new QueueFullError('Too many transforms queued, try again shortly');
+            }
+
+            const job = {
+                id: crypto.randomUUID(),
+                status: 'queued',
+                stage: 'queued',
+                progress: 0,
+                result: null,
+                error: null,
+                createdAt: Date.now(),
+                updatedAt: Date.now(),
+                startedAt: null,
+                payload,
+                key
+            };
+
+            jobs.set(job.id, job);
+            if (key) activeKeys.set(key, job.id);
+            waiting.push(job);
+            drain();
+
+            return snapshot(job);
+        },
+
+        get(id) {
+            const job = jobs.get(id);
+            return job ? snapshot(job) : null;
+        },
+
+        /**
+         * Queued or running job for a dedupe key, if any
+         */
+        getActive(key) {
+            return activeKeys.has(key) ? snapshot(jobs.get(activeKeys.get(key))) : null;
+        },
+
+        /**
+         * Call listener with every update to a job; returns an unsubscribe function
+         */
+        subscribe(id, listener) {
+            events.on(id, listener);
+            return () => events.off(id, listener);
+        },
+
+        isTerminal(job) {
+            return TERMINAL_STATUSES.includes(job.status);
+        },
+
+        stats() {
+            return { running, queued: waiting.length, concurrency };
+        },
+
+        stop() {
+            clearInterval(pruneTimer);
+        }
+    };
+}
+
+module.exports = { createJobQueue, QueueFullError };
@@ -0,0 +1,169 @@
+// lib/metadata.js - Versioned token metadata schema
+//
+// Documents follow the OpenSea metadata standard. Everything specific to
+// CyberProfile lives under `properties`, tagged with `schema_version` so
+// indexers can tell documents apart when the layout changes. Bump
+// METADATA_VERSION whenever a field is added, renamed or removed.
+
+const METADATA_VERSION = 1;
+
+const TOP_LEVEL_FIELDS = ['name', 'description', 'image', 'external_url', 'animation_url', 'background_color', 'attributes', 'properties'];
+const DISPLAY_TYPES = ['number', 'boost_number', 'boost_percentage', 'date'];
+
+// Highest tier first
+const FOLLOWER_TIERS = [
+    { min: 100000, name: 'Legend' },
+    { min: 10000, name: 'Icon' },
+    { min: 1000, name: 'Influencer' },
+    { min: 100, name: 'Rising' },
+    { min: 0, name: 'Newcomer' }
+];
+
+function followerTier(followerCount) {
+    return FOLLOWER_TIERS.find(tier => followerCount >= tier.min).name;
+}
+
+/**
+ * Build the metadata document for a CyberProfile token
+ * @param {Object} token
+ * @param {Object} token.generation { mode, provider, model, seed, prompt, strength }
+ * @param {Object} [token.source] { url, sha256 } of the img2img source image
+ */
+function buildMetadata({
+    fid,
+    username,
+    displayName,
+    isPro,
+    followerCount = 0,
+    image,
+    animationUrl,
+    externalUrl,
+    style,
+    generation,
+    source,
+    postProcessing = [],
+    rerolls = 0,
+    generatedAt = Date.now()
+}) {
+    const attributes = [
+        { trait_type: 'FID', value: fid },
+        { trait_type: 'Username', value: username },
+        { trait_type: 'Display Name', value: displayName },
+        { trait_type: 'Tier', value: isPro ? 'Pro' : 'Standard' },
+        { trait_type: 'Follower Tier', value: followerTier(followerCount) },
+        { trait_type: 'Followers', display_type: 'number', value: followerCount },
+        { trait_type: 'Style', value: style.name },
+        generation.model && { trait_type: 'Model', value: generation.model },
+        { trait_type: 'Seed', display_type: 'number', value: generation.seed },
+        { trait_type: 'Generated', display_type: 'date', value: Math.floor(generatedAt / 1000) },
+        source && { trait_type: 'Source Image SHA-256', value: source.sha256 },
+        rerolls > 0 && { trait_type: 'Re-rolls', display_type: 'number', value: rerolls }
+    ].filter(Boolean);
+
+    return {
+        name: `CyberProfile #${fid}`,
+        description: `Cyberpunk transformation of @${username}'s Farcaster profile`,
+        image,
+        ...(animationUrl && { animation_url: animationUrl }),
+        external_url: externalUrl,
+        attributes,
+        properties: {
+            schema_version: METADATA_VERSION,
+            generation: {
+                mode: generation.mode,
+                provider: generation.provider,
+                model: generation.model || null,
+                seed: generation.seed,
+                style: { id: style.id, name: style.name },
+                prompt: generation.prompt || null,
+                strength: generation.strength ?? null
+            },
+            ...(source && { source_image: { url: source.url, sha256: source.sha256 } }),
+            post_processing: postProcessing
+        }
+    };
+}
+
+function isUri(value, schemes) {
+    return typeof value === 'string' && schemes.some(scheme => value.startsWith(`${scheme}://`));
+}
+
+function validateAttribute(attribute) {
+    if (!attribute || typeof attribute !== 'object') {
+        return 'must be an object';
+    }
+    if (typeof attribute.trait_type !== 'string' || !attribute.trait_type || attribute.trait_type.length > 64) {
+        return 'trait_type must be 1-64 characters';
+    }
+
+    const { value, display_type: displayType } = attribute;
+    if (displayType !== undefined && !DISPLAY_TYPES.includes(displayType)) {
+        return `unknown display_type ${displayType}`;
+    }
+    if (displayType !== undefined && !Number.isFinite(value)) {
+        return `${displayType} values must be numbers`;
+    }
+    // Dates are Unix seconds; a millisecond timestamp renders thousands of years out
+    if (displayType === 'date' && !(Number.isInteger(value) && value > 0 && value < 1e11)) {
+        return 'date values must be Unix timestamps in seconds';
+    }
+    if (typeof value === 'string' ? value.length > 256 : !Number.isFinite(value)) {
+        return 'value must be a number or a string of at most 256 characters';
+    }
+    return null;
+}
+
+/**
+ * Check a metadata document against the schema
+ * Returns an error message, or null when valid
+ */
+function validateMetadata(metadata) {
+    if (!metadata || typeof metadata !== 'object') {
+        return 'Metadata must be an object';
+    }
+
+    const unknown = Object.keys(metadata).filter(field => !TOP_LEVEL_FIELDS.includes(field));
+    if (unknown.length) {
+        return `Unknown metadata fields: ${unknown.join(', ')}`;
+    }
+    if (typeof metadata.name !== 'string' || !metadata.name || metadata.name.length > 100) {
+        return 'name must be 1-100 characters';
+    }
+    if (typeof metadata.description !== 'string' || metadata.description.length > 1000) {
+        return 'description must be at most 1000 characters';
+    }
+    if (!isUri(metadata.image, ['ipfs', 'https'])) {
+        return 'image must be an ipfs:// or https:// URI';
+    }
+    if (metadata.animation_url !== undefined && !isUri(metadata.animation_url, ['ipfs', 'https'])) {
+        return 'animation_url must be an ipfs:// or https:// URI';
+    }
+    if (metadata.external_url !== undefined && !isUri(metadata.external_url, ['https', 'http'])) {
+        return 'external_url must be an http(s) URL';
+    }
+    if (metadata.background_color !== undefined && !/^[0-9a-f]{6}$/i.test(metadata.background_color)) {
+        return 'background_color must be six hex digits without #';
+    }
+
+    if (!Array.isArray(metadata.attributes)) {
+        return 'attributes must be an array';
+    }
+    const traits = new Set();
+    for (const [i, attribute] of metadata.attributes.entries()) {
+        const invalid = validateAttribute(attribute);
+        if (invalid) {
+            return `attributes[${i}]: ${invalid}`;
+        }
+        if (traits.has(attribute.trait_type)) {
+            return `Duplicate trait_type: ${attribute.trait_type}`;
+        }
+        traits.add(attribute.trait_type);
+    }
+
+    if (!metadata.properties || metadata.properties.schema_version !== METADATA_VERSION) {
+        return `properties.schema_version must be ${METADATA_VERSION}`;
+    }
+    return null;
+}
+
+module.exports = { METADATA_VERSION, FOLLOWER_TIERS, buildMetadata, validateMetadata };
@@ -0,0 +1,80 @@
+// lib/mint-verifier.js - Verifies client-reported mints against the chain
+const { ethers } = require('ethers');
+const { decodeCyberProfileLog } = require('./contract');
+
+/**
+ * Error with a machine-readable code and the HTTP status to respond with
+ */
+class MintVerificationError extends Error {
+    constructor(code, message, status = 400, details = {}) {
+        super(message);
+        this.name = 'MintVerificationError';
+        this.code = code;
+        this.status = status;
+        this.details = details;
+    }
+}
+
+/**
+ * Create a verifier for { fid, txHash } mint reports
+ *
+ * verifyMint resolves to the decoded CyberProfileMinted event when the
+ * transaction minted `fid` on our contract and has enough confirmations,
+ * and rejects with a MintVerificationError otherwise.
+ */
+function createMintVerifier({ provider, contractAddress, confirmations = 2 }) {
+    async function verifyMint({ fid, txHash }) {
+        if (!contractAddress) {
+            throw new MintVerificationError('CONTRACT_NOT_CONFIGURED', 'Contract address is not configured', 503);
+        }
+
+        if (!ethers.utils.isHexString(txHash, 32)) {
+            throw new MintVerificationError('INVALID_TX_HASH', 'txHash must be a 32-byte hex string');
+        }
+
+        const receipt = await provider.getTransactionReceipt(txHash);
+        if (!receipt) {
+            throw new MintVerificationError('TX_NOT_FOUND', 'Transaction not found or not yet mined', 404);
+        }
+
+        if (receipt.status !== 1) {
+            throw new MintVerificationError('TX_FAILED', 'Transaction reverted');
+        }
+
+        // A batch mint emits one CyberProfileMinted per token, so match on FID
+        const mintEvents = receipt.logs
+            .filter(log => log.address.toLowerCase() === contractAddress.toLowerCase())
+            .map(decodeCyberProfileLog)
+            .filter(event => event && event.name === 'CyberProfileMinted');
+
+        if (mintEvents.length === 0) {
+            throw new MintVerificationError('MINT_EVENT_NOT_FOUND', 'Transaction did not mint a CyberProfile');
+        }
+
+        const mintEvent = mintEvents.find(event => event.args.fid === String(fid));
+        if (!mintEvent) {
+            throw new MintVerificationError('FID_MISMATCH', 'Transaction minted a different FID', 400, {
+                mintedFids: mintEvents.map(event => parseInt(event.args.fid))
+            });
+        }
+
+        const headBlock = await provider.getBlockNumber();
+        const txConfirmations = headBlock - receipt.blockNumber + 1;
+        if (txConfirmations < confirmations) {
+            throw new MintVerificationError('INSUFFICIENT_CONFIRMATIONS', 'Transaction needs more confirmations', 409, {
+                confirmations: txConfirmations,
+                required: confirmations
+            });
+        }
+
+        return {
+            ...mintEvent,
+            blockNumber: receipt.blockNumber,
+            txHash: receipt.transactionHash
+        };
+    }
+
+    return { verifyMint };
+}
+
+module.exports = { createMintVerifier, MintVerificationError };
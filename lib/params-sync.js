@@ -0,0 +1,115 @@
+// lib/params-sync.js - Keeps server minting parameters aligned with the contract's MintingParams
+const { ethers } = require('ethers');
+const { cyberProfileInterface } = require('./contract');
+
+// Fields compared between server and contract
+const SYNCED_FIELDS = ['minFid', 'maxFid', 'baseMintPrice', 'proMintPrice', 'maxSupply', 'currentSupply', 'paused'];
+
+// Fields set through updateMintingParams
+const MINTING_PARAM_FIELDS = ['minFid', 'maxFid', 'baseMintPrice', 'proMintPrice', 'maxSupply'];
+
+const PRICE_FIELDS = ['baseMintPrice', 'proMintPrice'];
+
+/**
+ * Read MintingParams and pause state from the contract
+ */
+async function readContractParams(contract) {
+    const [params, paused] = await Promise.all([contract.getMintingParams(), contract.paused()]);
+    return {
+        minFid: params.minFid.toNumber(),
+        maxFid: params.maxFid.toNumber(),
+        baseMintPrice: params.baseMintPrice,
+        proMintPrice: params.proMintPrice,
+        maxSupply: params.maxSupply.toNumber(),
+        currentSupply: params.currentSupply.toNumber(),
+        paused
+    };
+}
+
+function formatValue(field, value) {
+    if (value === undefined || value === null) return null;
+    return PRICE_FIELDS.includes(field) ? ethers.utils.formatEther(value) : value;
+}
+
+function isEqual(field, a, b) {
+    if (a === undefined || a === null || b === undefined || b === null) return a === b;
+    return PRICE_FIELDS.includes(field) ? ethers.BigNumber.from(a).eq(b) : a === b;
+}
+
+/**
+ * Compare server parameters against the contract
+ * Returns one { field, server, chain } entry per mismatched field
+ */
+function detectDrift(serverParams, chainParams) {
+    return SYNCED_FIELDS
+        .filter(field => !isEqual(field, serverParams[field], chainParams[field]))
+        .map(field => ({
+            field,
+            server: formatValue(field, serverParams[field]),
+            chain: formatValue(field, chainParams[field])
+        }));
+}
+
+/**
+ * Check parameters against the same rules updateMintingParams enforces
+ * Returns an error message, or null when valid
+ */
+function validateMintingParams(params) {
+    if (!Number.isInteger(params.minFid) || !Number.isInteger(params.maxFid) || params.minFid < 0) {
+        return 'FID range must be non-negative integers';
+    }
+    if (params.maxFid < params.minFid) {
+        return 'Invalid FID range';
+    }
+    if (ethers.BigNumber.from(params.proMintPrice).gt(params.baseMintPrice)) {
+        return 'Pro price must be <= base price';
+    }
+    if (!Number.isInteger(params.maxSupply) || params.maxSupply < params.currentSupply) {
+        return 'Cannot set max supply below current supply';
+    }
+    return null;
+}
+
+/**
+ * Build the contract calls that move the chain from `current` to `next`
+ * Returns unsigned transactions as { method, to, data, value }
+ */
+function buildParameterTransactions(contractAddress, current, next) {
+    const transactions = [];
+
+    const paramsChanged = MINTING_PARAM_FIELDS.some(field => !isEqual(field, current[field], next[field]));
+    if (paramsChanged) {
+        transactions.push({
+            method: 'updateMintingParams',
+            to: contractAddress,
+            data: cyberProfileInterface.encodeFunctionData('updateMintingParams', [
+                next.minFid,
+                next.maxFid,
+                next.baseMintPrice,
+                next.proMintPrice,
+                next.maxSupply
+            ]),
+            value: '0x0'
+        });
+    }
+
+    if (next.paused !== current.paused) {
+        const method = next.paused ? 'pause' : 'unpause';
+        transactions.push({
+            method,
+            to: contractAddress,
+            data: cyberProfileInterface.encodeFunctionData(method, []),
+            value: '0x0'
+        });
+    }
+
+    return transactions;
+}
+
+module.exports = {
+    SYNCED_FIELDS,
+    readContractParams,
+    detectDrift,
+    validateMintingParams,
+    buildParameterTransactions
+};
@@ -0,0 +1,146 @@
+// lib/pinning/cid.js - Computes the CID an IPFS node assigns to a file
+//
+// Mirrors `ipfs add --cid-version=1` defaults: 256 KiB fixed-size chunks,
+// raw leaves and a balanced UnixFS DAG with up to 174 links per node. A file
+// that fits in one chunk is addressed by its raw leaf. CIDv0 (plain
+// `ipfs add`, Pinata's default) wraps each chunk in a dag-pb UnixFS leaf
+// instead and is the base58btc sha2-256 multihash of the root.
+const crypto = require('crypto');
+
+const CODEC_RAW = 0x55;
+const CODEC_DAG_PB = 0x70;
+const SHA2_256 = 0x12;
+const UNIXFS_FILE = 2;
+
+const BASE32_ALPHABET = 'abcdefghijklmnopqrstuvwxyz234567';
+const BASE58_ALPHABET = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+
+function varint(value) {
+    const bytes = [];
+    while (value >= 0x80) {
+        bytes.push((value & 0x7f) | 0x80);
+        value = Math.floor(value / 128);
+    }
+    bytes.push(value);
+    return Buffer.from(bytes);
+}
+
+function field(number, wireType) {
+    return varint(number * 8 + wireType);
+}
+
+function bytesField(number, bytes) {
+    return Buffer.concat([field(number, 2), varint(bytes.length), bytes]);
+}
+
+function varintField(number, value) {
+    return Buffer.concat([field(number, 0), varint(value)]);
+}
+
+/**
+ * Binary CID of `block` - a CIDv0 is just the multihash (always dag-pb)
+ */
+function cidBytes(codec, block, version = 1) {
+    const digest = crypto.createHash('sha256').update(block).digest();
+    const multihash = Buffer.concat([varint(SHA2_256), varint(digest.length), digest]);
+    return version === 0 ? multihash : Buffer.concat([varint(1), varint(codec), multihash]);
+}
+
+function base32(bytes) {
+    let output = '';
+    let buffer = 0;
+    let bits = 0;
+    for (const byte of bytes) {
+        buffer = (buffer << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(buffer >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+        buffer &= (1 << bits) - 1;
+    }
+    if (bits > 0) {
+        output += BASE32_ALPHABET[(buffer << (5 - bits)) & 31];
+    }
+    return output;
+}
+
+function base58(bytes) {
+    let value = BigInt('0x' + bytes.toString('hex'));
+    let output = '';
+    while (value > 0n) {
+        output = BASE58_ALPHABET[Number(value % 58n)] + output;
+        value /= 58n;
+    }
+    for (const byte of bytes) {
+        if (byte !== 0) break;
+        output = '1' + output;
+    }
+    return output;
+}
+
+/**
+ * Encode a chunk as a dag-pb UnixFS leaf, as CIDv0 DAGs use
+ */
+function leafNode(chunk) {
+    const data = Buffer.concat([
+        varintField(1, UNIXFS_FILE),
+        ...(chunk.length ? [bytesField(2, chunk)] : []),
+        varintField(3, chunk.length)
+    ]);
+    const block = bytesField(1, data);
+    return { cid: cidBytes(CODEC_DAG_PB, block, 0), tsize: block.length, fileSize: chunk.length };
+}
+
+/**
+ * Encode a UnixFS file node linking to `children` ({ cid, tsize, fileSize })
+ */
+function fileNode(children, version) {
+    const fileSize = children.reduce((sum, child) => sum + child.fileSize, 0);
+    const data = Buffer.concat([
+        varintField(1, UNIXFS_FILE),
+        varintField(3, fileSize),
+        ...children.map(child => varintField(4, child.fileSize))
+    ]);
+
+    // dag-pb puts links before data
+    const block = Buffer.concat([
+        ...children.map(child => bytesField(2, Buffer.concat([
+            bytesField(1, child.cid),
+            bytesField(2, Buffer.alloc(0)),
+            varintField(3, child.tsize)
+        ]))),
+        bytesField(1, data)
+    ]);
+
+    return {
+        cid: cidBytes(CODEC_DAG_PB, block, version),
+        tsize: block.length + children.reduce((sum, child) => sum + child.tsize, 0),
+        fileSize
+    };
+}
+
+/**
+ * CID of `buffer` as a file - CIDv1 in base32, or with `version: 0` a CIDv0 (Qm...)
+ */
+function computeCid(buffer, { version = 1, chunkSize = 262144, maxLinks = 174 } = {}) {
+    let nodes = [];
+    for (let offset = 0; offset < buffer.length || offset === 0; offset += chunkSize) {
+        const chunk = buffer.subarray(offset, offset + chunkSize);
+        nodes.push(version === 0
+            ? leafNode(chunk)
+            : { cid: cidBytes(CODEC_RAW, chunk), tsize: chunk.length, fileSize: chunk.length });
+    }
+
+    while (nodes.length > 1) {
+        const parents = [];
+        for (let i = 0; i < nodes.length; i += maxLinks) {
+            parents.push(fileNode(nodes.slice(i, i + maxLinks), version));
+        }
+        nodes = parents;
+    }
+
+    return version === 0 ? base58(nodes[0].cid) : 'b' + base32(nodes[0].cid);
+}
+
+module.exports = { computeCid };
@@ -0,0 +1,105 @@
+// lib/pinning/index.js - Pluggable IPFS pinning with local CID verification
+//
+// A backend is an object with:
+//
+//   name
+//   isConfigured()           false when credentials are missing
+//   pin(buffer, { name })    resolves to { cid } as reported by the service
+//
+// Every file is pinned to all backends at once. The CID is computed locally
+// first and a backend reporting a different one counts as failed, so a
+// tokenURI always points at exactly the bytes we uploaded.
+
+const { computeCid } = require('./cid');
+
+const backends = {
+    pinata: require('./pinata'),
+    kubo: require('./kubo'),
+    local: require('./local')
+};
+
+/**
+ * Register an additional backend factory
+ */
+function registerPinner(name, factory) {
+    backends[name] = factory;
+}
+
+/**
+ * Create a pinning service over one or more backends
+ * @param {Object} options
+ * @param {string[]} options.backends backend names, e.g. ['pinata', 'kubo']
+ * @param {Object} options.config per-backend options, e.g. { kubo: { url } }
+ * @param {number} options.minPins verified pins required for a pin to succeed
+ */
+function createPinningService({ backends: names, config = {}, minPins = 1 }) {
+    const instances = names.map(name => {
+        const factory = backends[name];
+        if (!factory) {
+            throw new Error(`Unknown pinning backend: ${name}`);
+        }
+        return factory(config[name] || {});
+    });
+
+    async function pinTo(backend, buffer, name, expected) {
+        if (!backend.isConfigured()) {
+            throw new Error('not configured');
+        }
+        const { cid } = await backend.pin(buffer, { name });
+        if (cid !== expected) {
+            throw new Error(`CID mismatch (expected ${expected}, got ${cid})`);
+        }
+    }
+
+    /**
+     * Pin a file to every backend
+     * Resolves to { cid, uri, pins: [{ backend, ok, error }] }
+     */
+    async function pin(buffer, { name }) {
+        const cid = computeCid(buffer);
+        const results = await Promise.allSettled(
+            instances.map(backend => pinTo(backend, buffer, name, cid))
+        );
+
+        const pins = results.map((result, i) => ({
+            backend: instances[i].name,
+            ok: result.status === 'fulfilled',
+            error: result.status === 'rejected'
+                ? result.reason.response?.data?.error?.details || result.reason.message
+                : null
+        }));
+
+        const failures = pins.filter(p => !p.ok).map(p => `${p.backend}: ${p.error}`);
+        if (pins.length - failures.length < minPins) {
+            throw new Error(`Pinning failed (${failures.join('; ')})`);
+        }
+        if (failures.length) {
+            console.error(`Pinned ${cid} with failures:`, failures.join('; '));
+        }
+
+        return { cid, uri: `ipfs://${cid}`, pins };
+    }
+
+    return {
+        pin,
+
+        /**
+         * Pin a JSON document; the exact serialized bytes are what gets verified
+         */
+        pinJSON(value, { name }) {
+            return pin(Buffer.from(JSON.stringify(value)), { name });
+        },
+
+        /**
+         * Backends with configuration state, for health checks
+         */
+        describe() {
+            return instances.map(backend => ({
+                name: backend.name,
+                configured: backend.isConfigured()
+            }));
+        }
+    };
+}
+
+module.exports = { createPinningService, registerPinner, computeCid };
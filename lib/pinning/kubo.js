@@ -0,0 +1,40 @@
+// lib/pinning/kubo.js - Self-hosted Kubo (go-ipfs) node
+const axios = require('axios');
+const FormData = require('form-data');
+
+/**
+ * Kubo backend - adds and pins files through the node's RPC API
+ * `auth` is sent as the Authorization header when the API sits behind a proxy
+ */
+function createKuboPinner({ url, auth, timeout = 60000 }) {
+    return {
+        name: 'kubo',
+
+        isConfigured() {
+            return !!url;
+        },
+
+        async pin(buffer, { name }) {
+            const formData = new FormData();
+            formData.append('file', buffer, name);
+
+            const response = await axios.post(
+                `${url.replace(/\/$/, '')}/api/v0/add`,
+                formData,
+                {
+                    params: { 'cid-version': 1, 'raw-leaves': true, pin: true },
+                    headers: {
+                        ...formData.getHeaders(),
+                        ...(auth && { 'Authorization': auth })
+                    },
+                    maxBodyLength: Infinity,
+                    timeout
+                }
+            );
+
+            return { cid: response.data.Hash };
+        }
+    };
+}
+
+module.exports = createKuboPinner;
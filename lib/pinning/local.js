@@ -0,0 +1,27 @@
+// lib/pinning/local.js - Filesystem stand-in for development
+const fs = require('fs/promises');
+const path = require('path');
+const { computeCid } = require('./cid');
+
+/**
+ * Local backend - writes each file to `dir` named by its CID
+ * Nothing is published to IPFS, so never use it for real mints
+ */
+function createLocalPinner({ dir }) {
+    return {
+        name: 'local',
+
+        isConfigured() {
+            return !!dir;
+        },
+
+        async pin(buffer) {
+            const cid = computeCid(buffer);
+            await fs.mkdir(dir, { recursive: true });
+            await fs.writeFile(path.join(dir, cid), buffer);
+            return { cid };
+        }
+    };
+}
+
+module.exports = createLocalPinner;
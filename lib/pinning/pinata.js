@@ -0,0 +1,41 @@
+// lib/pinning/pinata.js - Pinata pinning service
+const axios = require('axios');
+const FormData = require('form-data');
+
+/**
+ * Pinata backend - pins files as CIDv1 through pinFileToIPFS
+ */
+function createPinataPinner({ apiKey, secret, timeout = 60000 }) {
+    return {
+        name: 'pinata',
+
+        isConfigured() {
+            return !!(apiKey && secret);
+        },
+
+        async pin(buffer, { name }) {
+            const formData = new FormData();
+            formData.append('file', buffer, name);
+            formData.append('pinataMetadata', JSON.stringify({ name }));
+            formData.append('pinataOptions', JSON.stringify({ cidVersion: 1 }));
+
+            const response = await axios.post(
+                'https://api.pinata.cloud/pinning/pinFileToIPFS',
+                formData,
+                {
+                    headers: {
+                        ...formData.getHeaders(),
+                        'pinata_api_key': apiKey,
+                        'pinata_secret_api_key': secret
+                    },
+                    maxBodyLength: Infinity,
+                    timeout
+                }
+            );
+
+            return { cid: response.data.IpfsHash };
+        }
+    };
+}
+
+module.exports = createPinataPinner;
@@ -0,0 +1,177 @@
+// lib/post-process.js - sharp post-processing applied to artwork before it is pinned
+//
+// The pipeline config is stored as the 'postProcessing' setting and edited
+// from the admin panel. Steps run in a fixed order: resize, color grade,
+// scanlines, frame, encode. Every applied step is returned so it can be
+// recorded in the token metadata.
+const sharp = require('sharp');
+
+const SIZES = [512, 1024, 2048];
+const FORMATS = {
+    png: { contentType: 'image/png', extension: 'png' },
+    webp: { contentType: 'image/webp', extension: 'webp' },
+    jpeg: { contentType: 'image/jpeg', extension: 'jpg' }
+};
+const COLOR_GRADES = {
+    neon: image => image.modulate({ saturation: 1.35, brightness: 1.05 }),
+    noir: image => image.grayscale().linear(1.25, -25),
+    warm: image => image.modulate({ saturation: 1.15, hue: 12 })
+};
+
+const DEFAULT_PIPELINE = {
+    size: 1024,
+    colorGrade: { enabled: false, preset: 'neon' },
+    scanlines: { enabled: false, opacity: 0.15, spacing: 4 },
+    frame: { enabled: false, color: '#00ff9f', width: 16, label: true },
+    format: 'png',
+    quality: 90
+};
+
+function escapeXml(value) {
+    return String(value).replace(/[<>&'"]/g, char => `&#${char.charCodeAt(0)};`);
+}
+
+/**
+ * Copy the fields of `template` that `source` sets, ignoring any others
+ */
+function pickKnown(source, template) {
+    const picked = {};
+    if (!source || typeof source !== 'object') return picked;
+    for (const key of Object.keys(template)) {
+        if (source[key] !== undefined) picked[key] = source[key];
+    }
+    return picked;
+}
+
+/**
+ * Merge a partial config over `base` (the defaults unless given)
+ * Only pipeline fields are copied - unknown keys are dropped
+ */
+function withDefaults(config, base = DEFAULT_PIPELINE) {
+    const { colorGrade, scanlines, frame, ...topLevel } = DEFAULT_PIPELINE;
+    const patch = config || {};
+    return {
+        ...pickKnown(base, topLevel),
+        ...pickKnown(patch, topLevel),
+        colorGrade: { ...pickKnown(base.colorGrade, colorGrade), ...pickKnown(patch.colorGrade, colorGrade) },
+        scanlines: { ...pickKnown(base.scanlines, scanlines), ...pickKnown(patch.scanlines, scanlines) },
+        frame: { ...pickKnown(base.frame, frame), ...pickKnown(patch.frame, frame) }
+    };
+}
+
+/**
+ * Check a (merged) pipeline config
+ * Returns an error message, or null when valid
+ */
+function validatePipeline(config) {
+    if (!SIZES.includes(config.size)) {
+        return `Size must be one of ${SIZES.join(', ')}`;
+    }
+    if (!FORMATS[config.format]) {
+        return `Format must be one of ${Object.keys(FORMATS).join(', ')}`;
+    }
+    if (!Number.isInteger(config.quality) || config.quality < 50 || config.quality > 100) {
+        return 'Quality must be an integer between 50 and 100';
+    }
+    if ([config.colorGrade, config.scanlines, config.frame].some(step => typeof step.enabled !== 'boolean') ||
+        typeof config.frame.label !== 'boolean') {
+        return 'Step enabled flags and the frame label must be true or false';
+    }
+    if (!COLOR_GRADES[config.colorGrade.preset]) {
+        return `Color grade must be one of ${Object.keys(COLOR_GRADES).join(', ')}`;
+    }
+    if (typeof config.scanlines.opacity !== 'number' ||
+        !(config.scanlines.opacity > 0 && config.scanlines.opacity <= 1) ||
+        !Number.isInteger(config.scanlines.spacing) || config.scanlines.spacing < 2 || config.scanlines.spacing > 32) {
+        return 'Scanlines need an opacity in (0, 1] and a spacing of 2-32px';
+    }
+    if (!/^#[0-9a-fA-F]{6}$/.test(config.frame.color) ||
+        !Number.isInteger(config.frame.width) || config.frame.width < 1 || config.frame.width > 128) {
+        return 'Frame needs a #rrggbb color and a width of 1-128px';
+    }
+    return null;
+}
+
+function scanlinesOverlay(size, { opacity, spacing }) {
+    return Buffer.from(`<svg xmlns="http://www.w3.org/2000/svg" width="${size}" height="${size}">
+        <defs><pattern id="s" width="${size}" height="${spacing}" patternUnits="userSpaceOnUse">
+            <rect width="${size}" height="${Math.max(1, Math.floor(spacing / 2))}" fill="#000" fill-opacity="${opacity}"/>
+        </pattern></defs>
+        <rect width="100%" height="100%" fill="url(#s)"/>
+    </svg>`);
+}
+
+function frameOverlay(size, { color, width, label }, { username, fid }) {
+    const fontSize = Math.round(size / 28);
+    const text = label
+        ? `<rect x="${width}" y="${size - width - fontSize * 2}" width="${size - width * 2}" height="${fontSize * 2}" fill="#000" fill-opacity="0.6"/>
+           <text x="${size / 2}" y="${size - width - fontSize * 0.6}" font-family="monospace" font-size="${fontSize}"
+                 font-weight="bold" fill="${color}" text-anchor="middle">@${escapeXml(username)} · FID ${escapeXml(fid)}</text>`
+        : '';
+    return Buffer.from(`<svg xmlns="http://www.w3.org/2000/svg" width="${size}" height="${size}">
+        <rect x="${width / 2}" y="${width / 2}" width="${size - width}" height="${size - width}"
+              fill="none" stroke="${color}" stroke-width="${width}"/>
+        ${text}
+    </svg>`);
+}
+
+/**
+ * Run the pipeline over an image
+ * Resolves to { buffer, contentType, extension, steps }
+ */
+async function applyPipeline(input, config, { username, fid }) {
+    const steps = [];
+
+    let image = sharp(input).rotate().resize(config.size, config.size, { fit: 'cover' });
+    steps.push({ step: 'resize', size: config.size });
+
+    if (config.colorGrade.enabled) {
+        image = COLOR_GRADES[config.colorGrade.preset](image);
+        steps.push({ step: 'color-grade', preset: config.colorGrade.preset });
+    }
+
+    // Composites are applied together, so render the graded image first
+    const overlays = [];
+    if (config.scanlines.enabled) {
+        overlays.push({ input: scanlinesOverlay(config.size, config.scanlines) });
+        steps.push({ step: 'scanlines', opacity: config.scanlines.opacity, spacing: config.scanlines.spacing });
+    }
+    if (config.frame.enabled) {
+        overlays.push({ input: frameOverlay(config.size, config.frame, { username, fid }) });
+        steps.push({ step: 'frame', color: config.frame.color, width: config.frame.width, label: config.frame.label });
+    }
+    if (overlays.length > 0) {
+        image = sharp(await image.png().toBuffer()).composite(overlays);
+    }
+
+    // sharp drops EXIF/ICC metadata unless asked to keep it
+    const { contentType, extension } = FORMATS[config.format];
+    const buffer = await image.toFormat(config.format, { quality: config.quality }).toBuffer();
+    steps.push({ step: 'encode', format: config.format, quality: config.quality, strippedMetadata: true });
+
+    return { buffer, contentType, extension, steps };
+}
+
+/**
+ * Pipeline config backed by the settings store
+ */
+function createPostProcessor({ storage }) {
+    async function getConfig() {
+        return withDefaults((await storage.getSetting('postProcessing')) || {});
+    }
+
+    return {
+        getConfig,
+
+        async saveConfig(config) {
+            await storage.saveSetting('postProcessing', config);
+            return config;
+        },
+
+        async process(input, context) {
+            return applyPipeline(input, await getConfig(), context);
+        }
+    };
+}
+
+module.exports = { DEFAULT_PIPELINE, withDefaults, validatePipeline, applyPipeline, createPostProcessor };
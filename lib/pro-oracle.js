@@ -0,0 +1,117 @@
+// lib/pro-oracle.js - Pushes Neynar power badges on-chain as Pro status
+//
+// Every run checks the FIDs the server has seen, compares their Neynar
+// `power_badge` against the contract's `isProUser`, and sends the differences
+// through `batchUpdateProStatus`. Dry runs report the differences only.
+
+function chunk(items, size) {
+    const chunks = [];
+    for (let i = 0; i < items.length; i += size) {
+        chunks.push(items.slice(i, i + size));
+    }
+    return chunks;
+}
+
+/**
+ * Create the Pro status oracle worker
+ * @param {Object} options
+ * @param {Object} options.contract CyberProfile contract connected to the oracle (or owner) signer
+ * @param {Function} options.fetchPowerBadges async (fids) => Map of fid -> boolean
+ */
+function createProOracle({
+    storage,
+    contract,
+    fetchPowerBadges,
+    batchSize = 100,
+    lookupSize = 100,
+    interval = 60 * 60 * 1000,
+    dryRun = false
+}) {
+    let timer = null;
+    let running = false;
+
+    /**
+     * Run one oracle pass and record it in the run log
+     */
+    async function runOnce(options = {}) {
+        if (running) {
+            throw new Error('Oracle run already in progress');
+        }
+        running = true;
+
+        const run = {
+            startedAt: Date.now(),
+            finishedAt: null,
+            dryRun: options.dryRun ?? dryRun,
+            checked: 0,
+            changes: [],
+            txHashes: [],
+            error: null
+        };
+
+        try {
+            const fids = await storage.listSeenFids();
+
+            for (const fidChunk of chunk(fids, lookupSize)) {
+                const badges = await fetchPowerBadges(fidChunk);
+                const onChain = await Promise.all(fidChunk.map(fid => contract.isProUser(fid)));
+
+                fidChunk.forEach((fid, i) => {
+                    if (!badges.has(fid)) return;
+                    run.checked++;
+                    if (badges.get(fid) !== onChain[i]) {
+                        run.changes.push({ fid, isPro: badges.get(fid) });
+                    }
+                });
+            }
+
+            if (!run.dryRun) {
+                for (const batch of chunk(run.changes, batchSize)) {
+                    const tx = await contract.batchUpdateProStatus(
+                        batch.map(change => change.fid),
+                        batch.map(change => change.isPro)
+                    );
+                    run.txHashes.push(tx.hash);
+                    await tx.wait();
+                }
+            }
+
+            console.log(`Pro oracle: checked ${run.checked} FIDs, ${run.changes.length} changes${run.dryRun ? ' (dry run)' : ''}`);
+        } catch (error) {
+            run.error = error.reason || error.message;
+            console.error('Pro oracle run failed:', run.error);
+        } finally {
+            run.finishedAt = Date.now();
+            running = false;
+            await storage.saveOracleRun(run);
+        }
+
+        return run;
+    }
+
+    async function tick() {
+        await runOnce().catch(() => {});
+        if (timer) timer = setTimeout(tick, interval);
+    }
+
+    return {
+        runOnce,
+
+        start() {
+            if (timer) return;
+            console.log(`Pro oracle: running every ${Math.round(interval / 60000)} min${dryRun ? ' (dry run)' : ''}`);
+            timer = setTimeout(tick, interval);
+        },
+
+        stop() {
+            clearTimeout(timer);
+            timer = null;
+        },
+
+        isRunning() {
+            return running;
+        }
+    };
+}
+
+module.exports = { createProOracle };
@@ -0,0 +1,83 @@
+// lib/quotas.js - Daily generation quotas per FID and per IP
+//
+// Usage is counted per UTC day in storage, so quotas survive restarts and
+// are shared by every server instance on the same database.
+
+function utcDay(now = Date.now()) {
+    return new Date(now).toISOString().slice(0, 10);
+}
+
+function nextUtcMidnight(now = Date.now()) {
+    const date = new Date(now);
+    return Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() + 1);
+}
+
+/**
+ * Create the quota service
+ * @param {Object} options
+ * @param {number} options.perFid generations per FID per day before it has minted
+ * @param {number} options.perFidAfterMint generations per FID per day after minting
+ * @param {number} options.perIp generations per IP per day, across all FIDs
+ */
+function createQuotaService({ storage, perFid = 10, perFidAfterMint = 3, perIp = 30 }) {
+    async function fidLimit(fid) {
+        return (await storage.getMint(fid)) ? perFidAfterMint : perFid;
+    }
+
+    /**
+     * Quota state for a FID, as shown in /api/user/:fid
+     */
+    async function getUsage(fid) {
+        const limit = await fidLimit(fid);
+        const used = await storage.getUsage(`fid:${fid}`, utcDay());
+        return {
+            used,
+            limit,
+            remaining: Math.max(limit - used, 0),
+            resetsAt: new Date(nextUtcMidnight()).toISOString()
+        };
+    }
+
+    /**
+     * Count `amount` generations against the FID and IP, unless either would be exceeded
+     * The check and the increment are one atomic storage update.
+     * Resolves to { allowed, reason, retryAfter, usage, charge }; pass `charge` to refund()
+     */
+    async function consume({ fid, ip, amount = 1 }) {
+        const day = utcDay();
+        const limit = await fidLimit(fid);
+        const fidSubject = `fid:${fid}`;
+        const result = await storage.incrementUsageWithin({ [fidSubject]: limit, [`ip:${ip}`]: perIp }, day, amount);
+        const retryAfter = Math.ceil((nextUtcMidnight() - Date.now()) / 1000);
+
+        if (!result.allowed && result.subject === fidSubject) {
+            return {
+                allowed: false,
+                reason: `Daily generation limit reached for FID ${fid} (${Math.max(limit - result.count, 0)} of ${limit} left)`,
+                retryAfter
+            };
+        }
+        if (!result.allowed) {
+            return { allowed: false, reason: `Daily generation limit reached for this network (${perIp}/day)`, retryAfter };
+        }
+
+        const used = result.counts[fidSubject];
+        return {
+            allowed: true,
+            usage: { used, limit, remaining: Math.max(limit - used, 0) },
+            charge: { fid, ip, day, amount }
+        };
+    }
+
+    /**
+     * Give back a charge from consume() for generations that never happened
+     */
+    async function refund({ fid, ip, day, amount }) {
+        await storage.incrementUsage(`fid:${fid}`, day, -amount);
+        await storage.incrementUsage(`ip:${ip}`, day, -amount);
+    }
+
+    return { getUsage, consume, refund };
+}
+
+module.exports = { createQuotaService };
@@ -0,0 +1,55 @@
+// lib/rate-limit.js - In-memory token bucket rate limiting for Express routes
+
+/**
+ * Token bucket keyed by an arbitrary string (usually the client IP)
+ * Each key holds up to `capacity` tokens and regains `refillPerMinute` per minute.
+ */
+function createTokenBucket({ capacity, refillPerMinute, idleTtl = 60 * 60 * 1000 }) {
+    const buckets = new Map();
+    const refillPerMs = refillPerMinute / 60000;
+
+    const sweepTimer = setInterval(() => {
+        const cutoff = Date.now() - idleTtl;
+        for (const [key, bucket] of buckets) {
+            if (bucket.updatedAt < cutoff) buckets.delete(key);
+        }
+    }, Math.min(idleTtl, 10 * 60 * 1000));
+    sweepTimer.unref();
+
+    return {
+        /**
+         * Take one token; when none is left, `retryAfter` is the seconds until one refills
+         */
+        take(key) {
+            const now = Date.now();
+            const bucket = buckets.get(key) || { tokens: capacity, updatedAt: now };
+            bucket.tokens = Math.min(capacity, bucket.tokens + (now - bucket.updatedAt) * refillPerMs);
+            bucket.updatedAt = now;
+            buckets.set(key, bucket);
+
+            if (bucket.tokens < 1) {
+                return { allowed: false, remaining: 0, retryAfter: Math.ceil((1 - bucket.tokens) / refillPerMs / 1000) };
+            }
+            bucket.tokens -= 1;
+            return { allowed: true, remaining: Math.floor(bucket.tokens), retryAfter: 0 };
+        }
+    };
+}
+
+/**
+ * Express middleware - 429 with Retry-After once the caller's bucket is empty
+ */
+function rateLimit(bucket, { keyFn = req => req.ip, message = 'Too many requests' } = {}) {
+    return (req, res, next) => {
+        const { allowed, remaining, retryAfter } = bucket.take(keyFn(req));
+        res.set('RateLimit-Remaining', String(remaining));
+
+        if (!allowed) {
+            res.set('Retry-After', String(retryAfter));
+            return res.status(429).json({ error: `${message}, retry in ${retryAfter}s`, retryAfter });
+        }
+        next();
+    };
+}
+
+module.exports = { createTokenBucket, rateLimit };
@@ -0,0 +1,33 @@
+// lib/sanitize.js - Cleans third-party strings before they go into token metadata
+
+// C0/C1 controls, zero-width characters, bidi overrides and isolates, BOM
+const UNSAFE_CHARACTERS = /[\u0000-\u001f\u007f-\u009f\u200B-\u200F\u202A-\u202E\u2060-\u2069\uFEFF]/g;
+
+/**
+ * Normalize a display string: NFC, no invisible or direction-changing
+ * characters, single spaces, at most `maxLength` characters
+ */
+function sanitizeText(value, maxLength = 64) {
+    if (typeof value !== 'string') return '';
+
+    const clean = value
+        .normalize('NFC')
+        .replace(/\s+/g, ' ')
+        .replace(UNSAFE_CHARACTERS, '')
+        .replace(/ {2,}/g, ' ')
+        .trim();
+
+    // Cut on code points so surrogate pairs (emoji) stay whole
+    return Array.from(clean).slice(0, maxLength).join('').trim();
+}
+
+/**
+ * Farcaster usernames are lowercase fnames or ENS names
+ * Returns null when nothing valid remains
+ */
+function sanitizeUsername(value) {
+    const username = sanitizeText(value, 32).toLowerCase();
+    return /^[a-z0-9][a-z0-9.-]*$/.test(username) ? username : null;
+}
+
+module.exports = { sanitizeText, sanitizeUsername };
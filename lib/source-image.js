@@ -0,0 +1,58 @@
+// lib/source-image.js - Normalizes profile pictures before they are sent to img2img models
+const crypto = require('crypto');
+const sharp = require('sharp');
+
+// Formats accepted for uploaded sources, as detected from the file contents
+const SOURCE_FORMATS = ['jpeg', 'png', 'webp', 'gif', 'heif'];
+
+/**
+ * Check an uploaded source image by sniffing its contents
+ * Returns an error message, or null when valid
+ */
+async function validateSourceImage(input, { minDimension = 256, maxDimension = 4096 } = {}) {
+    let metadata;
+    try {
+        metadata = await sharp(input).metadata();
+    } catch (error) {
+        return 'File is not a readable image';
+    }
+
+    if (!SOURCE_FORMATS.includes(metadata.format)) {
+        return `Unsupported image format: ${metadata.format}`;
+    }
+    if (!metadata.width || !metadata.height ||
+        Math.min(metadata.width, metadata.height) < minDimension) {
+        return `Image must be at least ${minDimension}x${minDimension} pixels`;
+    }
+    if (Math.max(metadata.width, metadata.height) > maxDimension) {
+        return `Image must be at most ${maxDimension}x${maxDimension} pixels`;
+    }
+    return null;
+}
+
+/**
+ * Normalize a source image to a square PNG
+ *
+ * Applies EXIF orientation, center-crops to `size` x `size` and drops
+ * metadata, so the same picture always hashes the same regardless of the
+ * format or dimensions the CDN served. Resolves to { buffer, sha256,
+ * originalSha256, dataUrl }: `sha256` is of the normalized PNG (a cache key),
+ * `originalSha256` of `input` exactly as fetched or uploaded.
+ */
+async function normalizeSourceImage(input, { size = 1024 } = {}) {
+    const buffer = await sharp(input)
+        .rotate()
+        .resize(size, size, { fit: 'cover', position: 'attention' })
+        .removeAlpha()
+        .png()
+        .toBuffer();
+
+    return {
+        buffer,
+        sha256: crypto.createHash('sha256').update(buffer).digest('hex'),
+        originalSha256: crypto.createHash('sha256').update(input).digest('hex'),
+        dataUrl: `data:image/png;base64,${buffer.toString('base64')}`
+    };
+}
+
+module.exports = { SOURCE_FORMATS, validateSourceImage, normalizeSourceImage };
@@ -0,0 +1,53 @@
+// lib/storage/index.js - Pluggable storage for mint state
+//
+// Every driver returns an object implementing the same async interface:
+//
+//   getSetting(key) / saveSetting(key, value)     JSON-serializable settings
+//   getMint(fid) / recordMint(mint)               minted FIDs with tx hashes
+//   getMintByTxHash(txHash)
+//   countMints({ source }) / listMints(limit)
+//   getPreparedMint(fid) / savePreparedMint(prepared)
+//   getTransform(cacheKey) / saveTransform(cacheKey, transform)
+//   saveVariants(cacheKey, variants) / listVariants(cacheKey) / getVariant(id)
+//   applyChainEvents(events) / revertChainEventsAfter(blockNumber)
+//   getLatestChainEvent(name) / getProStatus(fid)  state indexed from the contract
+//   saveAuthNonce(nonce, expiresAt, scope) / consumeAuthNonce(nonce, scope)  scope: 'admin' | 'wallet'
+//   saveAdminSession(session) / getAdminSession(tokenHash) / deleteAdminSession(tokenHash)
+//   saveWalletVerification(verification) / getWalletVerification(tokenHash)  wallet-to-FID proofs
+//   markFidSeen(fid) / listSeenFids()              FIDs the Pro oracle checks
+//   saveOracleRun(run) / listOracleRuns(limit)
+//   getUsage(subject, day) / incrementUsage(subject, day, amount)  daily generation counts
+//   incrementUsageWithin(limits, day, amount)     atomic check-and-increment of { subject: limit }
+//   listCachedImages() / saveCachedImage(entry)    index of the on-disk image cache
+//   touchCachedImage(key, accessedAt) / deleteCachedImage(key)
+//   saveUploadedSource({ key, originalSha256 }) / getUploadedSource(key)  hash of the bytes a user uploaded
+//   close()
+//
+// recordMint resolves to false when the FID was already recorded. Mints have
+// a `source` of 'client' (reported via the API) or 'chain' (indexed events);
+// applying a CyberProfileMinted event upgrades a client record to 'chain'.
+
+const drivers = {
+    sqlite: require('./sqlite'),
+    memory: require('./memory')
+};
+
+/**
+ * Register an additional storage driver (e.g. Postgres)
+ */
+function registerDriver(name, factory) {
+    drivers[name] = factory;
+}
+
+/**
+ * Create a storage instance for the configured driver
+ */
+function createStorage({ driver = 'sqlite', ...options } = {}) {
+    const factory = drivers[driver];
+    if (!factory) {
+        throw new Error(`Unknown storage driver: ${driver}`);
+    }
+    return factory(options);
+}
+
+module.exports = { createStorage, registerDriver };
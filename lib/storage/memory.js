@@ -0,0 +1,289 @@
+// lib/storage/memory.js - In-memory storage driver
+//
+// Nothing survives a restart. Useful for local experiments and as a
+// reference implementation of the storage interface for new drivers.
+
+function clone(value) {
+    return value === null || value === undefined ? null : JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * Create an in-memory storage instance
+ */
+function createMemoryStorage() {
+    const settings = new Map();
+    const mints = new Map();
+    const preparedMints = new Map();
+    const transforms = new Map();
+    const chainEvents = new Map();
+    const authNonces = new Map();
+    const adminSessions = new Map();
+    const walletVerifications = new Map();
+    const seenFids = new Map();
+    const oracleRuns = [];
+    const usage = new Map();
+    const cachedImages = new Map();
+    const variants = new Map();
+    const uploadedSources = new Map();
+
+    function latestChainEvent(predicate) {
+        return [...chainEvents.values()]
+            .filter(predicate)
+            .sort((a, b) => b.blockNumber - a.blockNumber || b.logIndex - a.logIndex)[0] || null;
+    }
+
+    return {
+        driver: 'memory',
+
+        async getSetting(key) {
+            return clone(settings.get(key));
+        },
+
+        async saveSetting(key, value) {
+            settings.set(key, clone(value));
+        },
+
+        async getMint(fid) {
+            return clone(mints.get(fid));
+        },
+
+        async getMintByTxHash(txHash) {
+            const hash = String(txHash).toLowerCase();
+            return clone([...mints.values()].find(mint => mint.txHash && mint.txHash.toLowerCase() === hash));
+        },
+
+        async recordMint({
+            fid,
+            txHash = null,
+            tokenId = null,
+            minter = null,
+            tokenURI = null,
+            source = 'client',
+            blockNumber = null
+        }) {
+            if (mints.has(fid)) return false;
+            mints.set(fid, { fid, txHash, tokenId, minter, tokenURI, source, blockNumber, mintedAt: Date.now() });
+            return true;
+        },
+
+        async countMints({ source } = {}) {
+            if (source) {
+                return [...mints.values()].filter(mint => mint.source === source).length;
+            }
+            return mints.size;
+        },
+
+        async listMints(limit = 20) {
+            return [...mints.values()]
+                .sort((a, b) => b.mintedAt - a.mintedAt)
+                .slice(0, limit)
+                .map(clone);
+        },
+
+        async getPreparedMint(fid) {
+            return clone(preparedMints.get(fid));
+        },
+
+        async savePreparedMint({ fid, tokenURI, imageURI, metadata }) {
+            preparedMints.set(fid, clone({ fid, tokenURI, imageURI, metadata, createdAt: Date.now() }));
+        },
+
+        async getTransform(cacheKey) {
+            return clone(transforms.get(cacheKey));
+        },
+
+        async saveTransform(cacheKey, {
+            fid,
+            imageUrl,
+            resultUrl,
+            sourceHash = null,
+            provider = null,
+            mode = null,
+            styleId = null,
+            styleName = null,
+            prompt = null,
+            strength = null,
+            imageKey = null
+        }) {
+            transforms.set(cacheKey, {
+                fid, imageUrl, resultUrl, sourceHash, provider, mode, styleId, styleName, prompt, strength, imageKey,
+                createdAt: Date.now()
+            });
+        },
+
+        async saveVariants(cacheKey, list) {
+            for (const [id, variant] of variants) {
+                if (variant.cacheKey === cacheKey) variants.delete(id);
+            }
+            for (const variant of list) {
+                variants.set(variant.id, clone({
+                    ...variant,
+                    model: variant.model ?? null,
+                    strength: variant.strength ?? null,
+                    cacheKey,
+                    createdAt: Date.now()
+                }));
+            }
+        },
+
+        async listVariants(cacheKey) {
+            return [...variants.values()]
+                .filter(variant => variant.cacheKey === cacheKey)
+                .sort((a, b) => a.index - b.index)
+                .map(clone);
+        },
+
+        async getVariant(id) {
+            return clone(variants.get(id));
+        },
+
+        async applyChainEvents(events) {
+            for (const event of events) {
+                const key = `${event.txHash}-${event.logIndex}`;
+                if (chainEvents.has(key)) continue;
+                chainEvents.set(key, clone(event));
+
+                if (event.name === 'CyberProfileMinted') {
+                    const fid = parseInt(event.args.fid);
+                    const existing = mints.get(fid);
+                    mints.set(fid, {
+                        fid,
+                        tokenURI: null,
+                        mintedAt: Date.now(),
+                        ...existing,
+                        txHash: event.txHash,
+                        tokenId: parseInt(event.args.tokenId),
+                        minter: event.args.minter,
+                        source: 'chain',
+                        blockNumber: event.blockNumber
+                    });
+                }
+            }
+        },
+
+        async revertChainEventsAfter(blockNumber) {
+            for (const [key, event] of chainEvents) {
+                if (event.blockNumber > blockNumber) chainEvents.delete(key);
+            }
+            for (const [fid, mint] of mints) {
+                if (mint.source === 'chain' && mint.blockNumber > blockNumber) mints.delete(fid);
+            }
+        },
+
+        async getLatestChainEvent(name) {
+            return clone(latestChainEvent(event => event.name === name));
+        },
+
+        async getProStatus(fid) {
+            const event = latestChainEvent(event =>
+                event.name === 'ProStatusUpdated' && event.args.fid === String(fid)
+            );
+            return event ? event.args.isPro : null;
+        },
+
+        async saveAuthNonce(nonce, expiresAt, scope = 'admin') {
+            authNonces.set(`${scope}:${nonce}`, expiresAt);
+        },
+
+        async consumeAuthNonce(nonce, scope = 'admin') {
+            const key = `${scope}:${nonce}`;
+            const expiresAt = authNonces.get(key);
+            authNonces.delete(key);
+            return expiresAt !== undefined && expiresAt >= Date.now();
+        },
+
+        async saveAdminSession({ tokenHash, address, expiresAt }) {
+            adminSessions.set(tokenHash, { address, createdAt: Date.now(), expiresAt });
+        },
+
+        async getAdminSession(tokenHash) {
+            return clone(adminSessions.get(tokenHash));
+        },
+
+        async deleteAdminSession(tokenHash) {
+            adminSessions.delete(tokenHash);
+        },
+
+        async saveWalletVerification({ tokenHash, fid, address, expiresAt }) {
+            walletVerifications.set(tokenHash, { fid, address, createdAt: Date.now(), expiresAt });
+        },
+
+        async getWalletVerification(tokenHash) {
+            return clone(walletVerifications.get(tokenHash));
+        },
+
+        async markFidSeen(fid) {
+            const now = Date.now();
+            const existing = seenFids.get(fid);
+            seenFids.set(fid, { firstSeenAt: existing ? existing.firstSeenAt : now, lastSeenAt: now });
+        },
+
+        async listSeenFids() {
+            return [...seenFids.keys()].sort((a, b) => a - b);
+        },
+
+        async saveOracleRun(run) {
+            oracleRuns.push({ id: oracleRuns.length + 1, ...clone(run) });
+        },
+
+        async listOracleRuns(limit = 20) {
+            return oracleRuns.slice(-limit).reverse().map(clone);
+        },
+
+        async getUsage(subject, day) {
+            return usage.get(`${subject}|${day}`) || 0;
+        },
+
+        async incrementUsage(subject, day, amount = 1) {
+            const key = `${subject}|${day}`;
+            usage.set(key, Math.max((usage.get(key) || 0) + amount, 0));
+            return usage.get(key);
+        },
+
+        async incrementUsageWithin(limits, day, amount) {
+            for (const [subject, limit] of Object.entries(limits)) {
+                const count = usage.get(`${subject}|${day}`) || 0;
+                if (count + amount > limit) return { allowed: false, subject, count };
+            }
+            const counts = {};
+            for (const subject of Object.keys(limits)) {
+                const key = `${subject}|${day}`;
+                counts[subject] = (usage.get(key) || 0) + amount;
+                usage.set(key, counts[subject]);
+            }
+            return { allowed: true, counts };
+        },
+
+        async listCachedImages() {
+            return [...cachedImages.values()]
+                .sort((a, b) => a.lastAccessedAt - b.lastAccessedAt)
+                .map(clone);
+        },
+
+        async saveCachedImage({ key, size }) {
+            const now = Date.now();
+            cachedImages.set(key, { key, size, createdAt: now, lastAccessedAt: now });
+        },
+
+        async touchCachedImage(key, accessedAt) {
+            const entry = cachedImages.get(key);
+            if (entry) entry.lastAccessedAt = accessedAt;
+        },
+
+        async deleteCachedImage(key) {
+            cachedImages.delete(key);
+        },
+
+        async saveUploadedSource({ key, originalSha256 }) {
+            uploadedSources.set(key, { key, originalSha256, createdAt: Date.now() });
+        },
+
+        async getUploadedSource(key) {
+            return clone(uploadedSources.get(key));
+        },
+
+        async close() {}
+    };
+}
+
+module.exports = createMemoryStorage;
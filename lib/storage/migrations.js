@@ -0,0 +1,223 @@
+// lib/storage/migrations.js - Schema migrations for the SQLite storage driver
+//
+// Migrations are applied in order and recorded in `schema_migrations`.
+// Never edit a migration that has shipped - append a new one instead.
+
+module.exports = [
+    {
+        version: 1,
+        name: 'initial_schema',
+        up: `
+            CREATE TABLE settings (
+                key TEXT PRIMARY KEY,
+                value TEXT NOT NULL,
+                updated_at INTEGER NOT NULL
+            );
+
+            CREATE TABLE mints (
+                fid INTEGER PRIMARY KEY,
+                tx_hash TEXT,
+                token_id INTEGER,
+                minter TEXT,
+                token_uri TEXT,
+                source TEXT NOT NULL DEFAULT 'client',
+                minted_at INTEGER NOT NULL
+            );
+
+            CREATE INDEX idx_mints_minted_at ON mints (minted_at);
+
+            CREATE TABLE prepared_mints (
+                fid INTEGER PRIMARY KEY,
+                token_uri TEXT NOT NULL,
+                image_uri TEXT NOT NULL,
+                metadata TEXT NOT NULL,
+                created_at INTEGER NOT NULL
+            );
+
+            CREATE TABLE transforms (
+                cache_key TEXT PRIMARY KEY,
+                fid INTEGER NOT NULL,
+                image_url TEXT NOT NULL,
+                result_url TEXT NOT NULL,
+                created_at INTEGER NOT NULL
+            );
+        `
+    },
+    {
+        version: 2,
+        name: 'chain_events',
+        up: `
+            ALTER TABLE mints ADD COLUMN block_number INTEGER;
+
+            CREATE TABLE chain_events (
+                tx_hash TEXT NOT NULL,
+                log_index INTEGER NOT NULL,
+                block_number INTEGER NOT NULL,
+                block_hash TEXT NOT NULL,
+                name TEXT NOT NULL,
+                args TEXT NOT NULL,
+                PRIMARY KEY (tx_hash, log_index)
+            );
+
+            CREATE INDEX idx_chain_events_block ON chain_events (block_number);
+            CREATE INDEX idx_chain_events_name ON chain_events (name, block_number, log_index);
+        `
+    },
+    {
+        version: 3,
+        name: 'mints_tx_hash_index',
+        up: `
+            CREATE INDEX idx_mints_tx_hash ON mints (tx_hash);
+        `
+    },
+    {
+        version: 4,
+        name: 'admin_auth',
+        up: `
+            CREATE TABLE auth_nonces (
+                nonce TEXT PRIMARY KEY,
+                expires_at INTEGER NOT NULL
+            );
+
+            CREATE TABLE admin_sessions (
+                token_hash TEXT PRIMARY KEY,
+                address TEXT NOT NULL,
+                created_at INTEGER NOT NULL,
+                expires_at INTEGER NOT NULL
+            );
+        `
+    },
+    {
+        version: 5,
+        name: 'pro_oracle',
+        up: `
+            CREATE TABLE seen_fids (
+                fid INTEGER PRIMARY KEY,
+                first_seen_at INTEGER NOT NULL,
+                last_seen_at INTEGER NOT NULL
+            );
+
+            CREATE TABLE oracle_runs (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                started_at INTEGER NOT NULL,
+                finished_at INTEGER,
+                dry_run INTEGER NOT NULL,
+                checked INTEGER NOT NULL,
+                changes TEXT NOT NULL,
+                tx_hashes TEXT NOT NULL,
+                error TEXT
+            );
+        `
+    },
+    {
+        version: 6,
+        name: 'transform_source',
+        up: `
+            ALTER TABLE transforms ADD COLUMN source_hash TEXT;
+            ALTER TABLE transforms ADD COLUMN provider TEXT;
+            ALTER TABLE transforms ADD COLUMN mode TEXT;
+            CREATE INDEX idx_transforms_result_url ON transforms (result_url);
+        `
+    },
+    {
+        version: 7,
+        name: 'transform_style',
+        up: `
+            ALTER TABLE transforms ADD COLUMN style_id TEXT;
+            ALTER TABLE transforms ADD COLUMN style_name TEXT;
+        `
+    },
+    {
+        version: 8,
+        name: 'generation_usage',
+        up: `
+            CREATE TABLE generation_usage (
+                subject TEXT NOT NULL,
+                day TEXT NOT NULL,
+                count INTEGER NOT NULL,
+                PRIMARY KEY (subject, day)
+            );
+        `
+    },
+    {
+        version: 9,
+        name: 'image_cache',
+        up: `
+            CREATE TABLE image_cache (
+                key TEXT PRIMARY KEY,
+                size INTEGER NOT NULL,
+                created_at INTEGER NOT NULL,
+                last_accessed_at INTEGER NOT NULL
+            );
+
+            CREATE INDEX idx_image_cache_last_accessed ON image_cache (last_accessed_at);
+
+            ALTER TABLE transforms ADD COLUMN image_key TEXT;
+        `
+    },
+    {
+        version: 10,
+        name: 'transform_variants',
+        up: `
+            CREATE TABLE transform_variants (
+                id TEXT PRIMARY KEY,
+                cache_key TEXT NOT NULL,
+                fid INTEGER NOT NULL,
+                variant_index INTEGER NOT NULL,
+                seed INTEGER NOT NULL,
+                image_key TEXT NOT NULL,
+                provider TEXT,
+                created_at INTEGER NOT NULL
+            );
+
+            CREATE INDEX idx_transform_variants_cache_key ON transform_variants (cache_key);
+        `
+    },
+    {
+        version: 11,
+        name: 'generation_provenance',
+        up: `
+            ALTER TABLE transforms ADD COLUMN prompt TEXT;
+            ALTER TABLE transforms ADD COLUMN strength REAL;
+            ALTER TABLE transform_variants ADD COLUMN model TEXT;
+        `
+    },
+    {
+        version: 12,
+        name: 'wallet_verifications',
+        up: `
+            CREATE TABLE wallet_verifications (
+                token_hash TEXT PRIMARY KEY,
+                fid INTEGER NOT NULL,
+                address TEXT NOT NULL,
+                created_at INTEGER NOT NULL,
+                expires_at INTEGER NOT NULL
+            );
+        `
+    },
+    {
+        version: 13,
+        name: 'auth_nonce_scopes',
+        up: `
+            ALTER TABLE auth_nonces ADD COLUMN scope TEXT NOT NULL DEFAULT 'admin';
+        `
+    },
+    {
+        version: 14,
+        name: 'variant_strength',
+        up: `
+            ALTER TABLE transform_variants ADD COLUMN strength REAL;
+        `
+    },
+    {
+        version: 15,
+        name: 'uploaded_sources',
+        up: `
+            CREATE TABLE uploaded_sources (
+                key TEXT PRIMARY KEY,
+                original_sha256 TEXT NOT NULL,
+                created_at INTEGER NOT NULL
+            );
+        `
+    }
+];
@@ -0,0 +1,507 @@
+// lib/storage/sqlite.js - SQLite storage driver (default)
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+const migrations = require('./migrations');
+
+/**
+ * Apply any migrations newer than the database's current schema version
+ */
+function migrate(db) {
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS schema_migrations (
+            version INTEGER PRIMARY KEY,
+            name TEXT NOT NULL,
+            applied_at INTEGER NOT NULL
+        )
+    `);
+
+    const { version: current } = db.prepare(
+        'SELECT COALESCE(MAX(version), 0) AS version FROM schema_migrations'
+    ).get();
+
+    const pending = migrations
+        .filter(migration => migration.version > current)
+        .sort((a, b) => a.version - b.version);
+
+    for (const migration of pending) {
+        db.transaction(() => {
+            db.exec(migration.up);
+            db.prepare(
+                'INSERT INTO schema_migrations (version, name, applied_at) VALUES (?, ?, ?)'
+            ).run(migration.version, migration.name, Date.now());
+        })();
+        console.log(`Applied migration ${migration.version}: ${migration.name}`);
+    }
+}
+
+function toMint(row) {
+    if (!row) return null;
+    return {
+        fid: row.fid,
+        txHash: row.tx_hash,
+        tokenId: row.token_id,
+        minter: row.minter,
+        tokenURI: row.token_uri,
+        source: row.source,
+        blockNumber: row.block_number,
+        mintedAt: row.minted_at
+    };
+}
+
+function toChainEvent(row) {
+    if (!row) return null;
+    return {
+        name: row.name,
+        args: JSON.parse(row.args),
+        blockNumber: row.block_number,
+        blockHash: row.block_hash,
+        txHash: row.tx_hash,
+        logIndex: row.log_index
+    };
+}
+
+function toOracleRun(row) {
+    if (!row) return null;
+    return {
+        id: row.id,
+        startedAt: row.started_at,
+        finishedAt: row.finished_at,
+        dryRun: !!row.dry_run,
+        checked: row.checked,
+        changes: JSON.parse(row.changes),
+        txHashes: JSON.parse(row.tx_hashes),
+        error: row.error
+    };
+}
+
+function toPreparedMint(row) {
+    if (!row) return null;
+    return {
+        fid: row.fid,
+        tokenURI: row.token_uri,
+        imageURI: row.image_uri,
+        metadata: JSON.parse(row.metadata),
+        createdAt: row.created_at
+    };
+}
+
+function toVariant(row) {
+    if (!row) return null;
+    return {
+        id: row.id,
+        cacheKey: row.cache_key,
+        fid: row.fid,
+        index: row.variant_index,
+        seed: row.seed,
+        imageKey: row.image_key,
+        provider: row.provider,
+        model: row.model,
+        strength: row.strength,
+        createdAt: row.created_at
+    };
+}
+
+function toTransform(row) {
+    if (!row) return null;
+    return {
+        fid: row.fid,
+        imageUrl: row.image_url,
+        resultUrl: row.result_url,
+        sourceHash: row.source_hash,
+        provider: row.provider,
+        mode: row.mode,
+        styleId: row.style_id,
+        styleName: row.style_name,
+        prompt: row.prompt,
+        strength: row.strength,
+        imageKey: row.image_key,
+        createdAt: row.created_at
+    };
+}
+
+/**
+ * Create a SQLite-backed storage instance
+ * @param {Object} options
+ * @param {string} options.path Database file path (':memory:' for a throwaway database)
+ */
+function createSqliteStorage({ path: dbPath = './data/cyberprofile.db' } = {}) {
+    if (dbPath !== ':memory:') {
+        fs.mkdirSync(path.dirname(dbPath), { recursive: true });
+    }
+
+    const db = new Database(dbPath);
+    db.pragma('journal_mode = WAL');
+    db.pragma('foreign_keys = ON');
+    migrate(db);
+
+    return {
+        driver: 'sqlite',
+
+        async getSetting(key) {
+            const row = db.prepare('SELECT value FROM settings WHERE key = ?').get(key);
+            return row ? JSON.parse(row.value) : null;
+        },
+
+        async saveSetting(key, value) {
+            db.prepare(`
+                INSERT INTO settings (key, value, updated_at) VALUES (?, ?, ?)
+                ON CONFLICT (key) DO UPDATE SET value = excluded.value, updated_at = excluded.updated_at
+            `).run(key, JSON.stringify(value), Date.now());
+        },
+
+        async getMint(fid) {
+            return toMint(db.prepare('SELECT * FROM mints WHERE fid = ?').get(fid));
+        },
+
+        async getMintByTxHash(txHash) {
+            return toMint(db.prepare('SELECT * FROM mints WHERE tx_hash = ? COLLATE NOCASE').get(txHash));
+        },
+
+        async recordMint({
+            fid,
+            txHash = null,
+            tokenId = null,
+            minter = null,
+            tokenURI = null,
+            source = 'client',
+            blockNumber = null
+        }) {
+            const result = db.prepare(`
+                INSERT INTO mints (fid, tx_hash, token_id, minter, token_uri, source, block_number, minted_at)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+                ON CONFLICT (fid) DO NOTHING
+            `).run(fid, txHash, tokenId, minter, tokenURI, source, blockNumber, Date.now());
+            return result.changes > 0;
+        },
+
+        async countMints({ source } = {}) {
+            if (source) {
+                return db.prepare('SELECT COUNT(*) AS count FROM mints WHERE source = ?').get(source).count;
+            }
+            return db.prepare('SELECT COUNT(*) AS count FROM mints').get().count;
+        },
+
+        async listMints(limit = 20) {
+            return db.prepare('SELECT * FROM mints ORDER BY minted_at DESC LIMIT ?')
+                .all(limit)
+                .map(toMint);
+        },
+
+        async getPreparedMint(fid) {
+            return toPreparedMint(db.prepare('SELECT * FROM prepared_mints WHERE fid = ?').get(fid));
+        },
+
+        async savePreparedMint({ fid, tokenURI, imageURI, metadata }) {
+            db.prepare(`
+                INSERT INTO prepared_mints (fid, token_uri, image_uri, metadata, created_at)
+                VALUES (?, ?, ?, ?, ?)
+                ON CONFLICT (fid) DO UPDATE SET
+                    token_uri = excluded.token_uri,
+                    image_uri = excluded.image_uri,
+                    metadata = excluded.metadata,
+                    created_at = excluded.created_at
+            `).run(fid, tokenURI, imageURI, JSON.stringify(metadata), Date.now());
+        },
+
+        async getTransform(cacheKey) {
+            return toTransform(db.prepare('SELECT * FROM transforms WHERE cache_key = ?').get(cacheKey));
+        },
+
+        async saveTransform(cacheKey, {
+            fid,
+            imageUrl,
+            resultUrl,
+            sourceHash = null,
+            provider = null,
+            mode = null,
+            styleId = null,
+            styleName = null,
+            prompt = null,
+            strength = null,
+            imageKey = null
+        }) {
+            db.prepare(`
+                INSERT INTO transforms (
+                    cache_key, fid, image_url, result_url, source_hash, provider, mode, style_id, style_name,
+                    prompt, strength, image_key, created_at
+                )
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+                ON CONFLICT (cache_key) DO UPDATE SET
+                    result_url = excluded.result_url,
+                    source_hash = excluded.source_hash,
+                    provider = excluded.provider,
+                    mode = excluded.mode,
+                    style_id = excluded.style_id,
+                    style_name = excluded.style_name,
+                    prompt = excluded.prompt,
+                    strength = excluded.strength,
+                    image_key = excluded.image_key,
+                    created_at = excluded.created_at
+            `).run(cacheKey, fid, imageUrl, resultUrl, sourceHash, provider, mode, styleId, styleName,
+                prompt, strength, imageKey, Date.now());
+        },
+
+        async saveVariants(cacheKey, variants) {
+            const insert = db.prepare(`
+                INSERT INTO transform_variants (
+                    id, cache_key, fid, variant_index, seed, image_key, provider, model, strength, created_at
+                ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+            `);
+            db.transaction(() => {
+                db.prepare('DELETE FROM transform_variants WHERE cache_key = ?').run(cacheKey);
+                for (const variant of variants) {
+                    insert.run(variant.id, cacheKey, variant.fid, variant.index, variant.seed,
+                        variant.imageKey, variant.provider, variant.model ?? null, variant.strength ?? null, Date.now());
+                }
+            })();
+        },
+
+        async listVariants(cacheKey) {
+            return db.prepare('SELECT * FROM transform_variants WHERE cache_key = ? ORDER BY variant_index')
+                .all(cacheKey)
+                .map(toVariant);
+        },
+
+        async getVariant(id) {
+            return toVariant(db.prepare('SELECT * FROM transform_variants WHERE id = ?').get(id));
+        },
+
+        async applyChainEvents(events) {
+            const insertEvent = db.prepare(`
+                INSERT INTO chain_events (tx_hash, log_index, block_number, block_hash, name, args)
+                VALUES (?, ?, ?, ?, ?, ?)
+                ON CONFLICT (tx_hash, log_index) DO NOTHING
+            `);
+            const upsertMint = db.prepare(`
+                INSERT INTO mints (fid, tx_hash, token_id, minter, source, block_number, minted_at)
+                VALUES (?, ?, ?, ?, 'chain', ?, ?)
+                ON CONFLICT (fid) DO UPDATE SET
+                    tx_hash = excluded.tx_hash,
+                    token_id = excluded.token_id,
+                    minter = excluded.minter,
+                    source = 'chain',
+                    block_number = excluded.block_number
+            `);
+
+            db.transaction(() => {
+                for (const event of events) {
+                    insertEvent.run(
+                        event.txHash,
+                        event.logIndex,
+                        event.blockNumber,
+                        event.blockHash,
+                        event.name,
+                        JSON.stringify(event.args)
+                    );
+
+                    if (event.name === 'CyberProfileMinted') {
+                        upsertMint.run(
+                            parseInt(event.args.fid),
+                            event.txHash,
+                            parseInt(event.args.tokenId),
+                            event.args.minter,
+                            event.blockNumber,
+                            Date.now()
+                        );
+                    }
+                }
+            })();
+        },
+
+        async revertChainEventsAfter(blockNumber) {
+            db.transaction(() => {
+                db.prepare('DELETE FROM chain_events WHERE block_number > ?').run(blockNumber);
+                db.prepare("DELETE FROM mints WHERE source = 'chain' AND block_number > ?").run(blockNumber);
+            })();
+        },
+
+        async getLatestChainEvent(name) {
+            return toChainEvent(db.prepare(`
+                SELECT * FROM chain_events WHERE name = ?
+                ORDER BY block_number DESC, log_index DESC LIMIT 1
+            `).get(name));
+        },
+
+        async getProStatus(fid) {
+            const row = db.prepare(`
+                SELECT args FROM chain_events
+                WHERE name = 'ProStatusUpdated' AND json_extract(args, '$.fid') = ?
+                ORDER BY block_number DESC, log_index DESC LIMIT 1
+            `).get(String(fid));
+            return row ? JSON.parse(row.args).isPro : null;
+        },
+
+        async saveAuthNonce(nonce, expiresAt, scope = 'admin') {
+            db.prepare('DELETE FROM auth_nonces WHERE expires_at < ?').run(Date.now());
+            db.prepare('INSERT INTO auth_nonces (nonce, expires_at, scope) VALUES (?, ?, ?)')
+                .run(nonce, expiresAt, scope);
+        },
+
+        async consumeAuthNonce(nonce, scope = 'admin') {
+            const result = db.prepare('DELETE FROM auth_nonces WHERE nonce = ? AND scope = ? AND expires_at >= ?')
+                .run(nonce, scope, Date.now());
+            return result.changes > 0;
+        },
+
+        async saveAdminSession({ tokenHash, address, expiresAt }) {
+            db.prepare('DELETE FROM admin_sessions WHERE expires_at < ?').run(Date.now());
+            db.prepare(`
+                INSERT INTO admin_sessions (token_hash, address, created_at, expires_at)
+                VALUES (?, ?, ?, ?)
+            `).run(tokenHash, address, Date.now(), expiresAt);
+        },
+
+        async getAdminSession(tokenHash) {
+            const row = db.prepare('SELECT * FROM admin_sessions WHERE token_hash = ?').get(tokenHash);
+            if (!row) return null;
+            return { address: row.address, createdAt: row.created_at, expiresAt: row.expires_at };
+        },
+
+        async deleteAdminSession(tokenHash) {
+            db.prepare('DELETE FROM admin_sessions WHERE token_hash = ?').run(tokenHash);
+        },
+
+        async saveWalletVerification({ tokenHash, fid, address, expiresAt }) {
+            db.prepare('DELETE FROM wallet_verifications WHERE expires_at < ?').run(Date.now());
+            db.prepare(`
+                INSERT INTO wallet_verifications (token_hash, fid, address, created_at, expires_at)
+                VALUES (?, ?, ?, ?, ?)
+            `).run(tokenHash, fid, address, Date.now(), expiresAt);
+        },
+
+        async getWalletVerification(tokenHash) {
+            const row = db.prepare('SELECT * FROM wallet_verifications WHERE token_hash = ?').get(tokenHash);
+            if (!row) return null;
+            return { fid: row.fid, address: row.address, createdAt: row.created_at, expiresAt: row.expires_at };
+        },
+
+        async markFidSeen(fid) {
+            const now = Date.now();
+            db.prepare(`
+                INSERT INTO seen_fids (fid, first_seen_at, last_seen_at) VALUES (?, ?, ?)
+                ON CONFLICT (fid) DO UPDATE SET last_seen_at = excluded.last_seen_at
+            `).run(fid, now, now);
+        },
+
+        async listSeenFids() {
+            return db.prepare('SELECT fid FROM seen_fids ORDER BY fid').all().map(row => row.fid);
+        },
+
+        async saveOracleRun(run) {
+            db.prepare(`
+                INSERT INTO oracle_runs (started_at, finished_at, dry_run, checked, changes, tx_hashes, error)
+                VALUES (?, ?, ?, ?, ?, ?, ?)
+            `).run(
+                run.startedAt,
+                run.finishedAt,
+                run.dryRun ? 1 : 0,
+                run.checked,
+                JSON.stringify(run.changes),
+                JSON.stringify(run.txHashes),
+                run.error
+            );
+        },
+
+        async listOracleRuns(limit = 20) {
+            return db.prepare('SELECT * FROM oracle_runs ORDER BY id DESC LIMIT ?')
+                .all(limit)
+                .map(toOracleRun);
+        },
+
+        async getUsage(subject, day) {
+            const row = db.prepare('SELECT count FROM generation_usage WHERE subject = ? AND day = ?').get(subject, day);
+            return row ? row.count : 0;
+        },
+
+        async incrementUsage(subject, day, amount = 1) {
+            // A negative amount refunds, never below zero
+            return db.prepare(`
+                INSERT INTO generation_usage (subject, day, count) VALUES (?, ?, MAX(?, 0))
+                ON CONFLICT (subject, day) DO UPDATE SET count = MAX(count + ?, 0)
+                RETURNING count
+            `).get(subject, day, amount, amount).count;
+        },
+
+        async incrementUsageWithin(limits, day, amount) {
+            const increment = db.prepare(`
+                INSERT INTO generation_usage (subject, day, count) VALUES (?, ?, ?)
+                ON CONFLICT (subject, day) DO UPDATE SET count = count + excluded.count
+                WHERE count + excluded.count <= ?
+                RETURNING count
+            `);
+            const exceeded = new Error('usage limit exceeded');
+
+            // IMMEDIATE takes the write lock up front, so concurrent
+            // processes cannot both pass the limit check
+            const consume = db.transaction(() => {
+                const counts = {};
+                for (const [subject, limit] of Object.entries(limits)) {
+                    const row = amount <= limit && increment.get(subject, day, amount, limit);
+                    if (!row) {
+                        exceeded.subject = subject;
+                        throw exceeded;
+                    }
+                    counts[subject] = row.count;
+                }
+                return counts;
+            });
+
+            try {
+                return { allowed: true, counts: consume.immediate() };
+            } catch (error) {
+                if (error !== exceeded) throw error;
+                const row = db.prepare('SELECT count FROM generation_usage WHERE subject = ? AND day = ?')
+                    .get(error.subject, day);
+                return { allowed: false, subject: error.subject, count: row ? row.count : 0 };
+            }
+        },
+
+        async listCachedImages() {
+            return db.prepare('SELECT * FROM image_cache ORDER BY last_accessed_at ASC').all().map(row => ({
+                key: row.key,
+                size: row.size,
+                createdAt: row.created_at,
+                lastAccessedAt: row.last_accessed_at
+            }));
+        },
+
+        async saveCachedImage({ key, size }) {
+            const now = Date.now();
+            db.prepare(`
+                INSERT INTO image_cache (key, size, created_at, last_accessed_at) VALUES (?, ?, ?, ?)
+                ON CONFLICT (key) DO UPDATE SET
+                    size = excluded.size,
+                    created_at = excluded.created_at,
+                    last_accessed_at = excluded.last_accessed_at
+            `).run(key, size, now, now);
+        },
+
+        async touchCachedImage(key, accessedAt) {
+            db.prepare('UPDATE image_cache SET last_accessed_at = ? WHERE key = ?').run(accessedAt, key);
+        },
+
+        async deleteCachedImage(key) {
+            db.prepare('DELETE FROM image_cache WHERE key = ?').run(key);
+        },
+
+        async saveUploadedSource({ key, originalSha256 }) {
+            db.prepare(`
+                INSERT INTO uploaded_sources (key, original_sha256, created_at) VALUES (?, ?, ?)
+                ON CONFLICT (key) DO UPDATE SET original_sha256 = excluded.original_sha256
+            `).run(key, originalSha256, Date.now());
+        },
+
+        async getUploadedSource(key) {
+            const row = db.prepare('SELECT * FROM uploaded_sources WHERE key = ?').get(key);
+            if (!row) return null;
+            return { key: row.key, originalSha256: row.original_sha256, createdAt: row.created_at };
+        },
+
+        async close() {
+            db.close();
+        }
+    };
+}
+
+module.exports = createSqliteStorage;
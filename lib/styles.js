@@ -0,0 +1,141 @@
+// lib/styles.js - Style preset catalogue for transformations
+//
+// The catalogue is stored as the 'styleCatalogue' setting and edited from the
+// admin panel. Until an admin saves it, DEFAULT_STYLES is used.
+
+const NEGATIVE_PROMPT = 'ugly, blurry, low quality, distorted, deformed, duplicate, worst quality';
+
+const DEFAULT_STYLES = [
+    {
+        id: 'cyberpunk',
+        name: 'Cyberpunk',
+        prompt: 'cyberpunk futuristic neon portrait, highly detailed, digital art, concept art, trending on artstation, dramatic lighting, neon colors, holographic elements, augmented reality, chrome and glass, dystopian aesthetic, 8k, masterpiece',
+        negativePrompt: NEGATIVE_PROMPT,
+        strength: null,
+        enabled: true
+    },
+    {
+        id: 'neon-noir',
+        name: 'Neon Noir',
+        prompt: 'neon noir portrait, rain-soaked city at night, deep shadows, high contrast, magenta and cyan neon reflections, cinematic film still, moody atmosphere, detective aesthetic, highly detailed',
+        negativePrompt: NEGATIVE_PROMPT,
+        strength: null,
+        enabled: true
+    },
+    {
+        id: 'synthwave',
+        name: 'Synthwave',
+        prompt: 'synthwave portrait, retro 1980s outrun aesthetic, sunset gradient, purple and orange palette, laser grid horizon, chrome lettering glow, vaporwave, airbrushed, highly detailed',
+        negativePrompt: NEGATIVE_PROMPT,
+        strength: null,
+        enabled: true
+    },
+    {
+        id: 'chrome-android',
+        name: 'Chrome Android',
+        prompt: 'chrome android portrait, polished liquid metal skin, exposed cybernetic circuitry, glowing optical implants, studio lighting, reflective surfaces, hyperrealistic 3d render, highly detailed',
+        negativePrompt: NEGATIVE_PROMPT,
+        strength: 0.75,
+        enabled: true
+    },
+    {
+        id: 'glitch',
+        name: 'Glitch',
+        prompt: 'glitch art portrait, datamoshing, chromatic aberration, rgb split, corrupted pixels, scanlines, vhs distortion, digital decay, neon colors, highly detailed',
+        negativePrompt: NEGATIVE_PROMPT,
+        strength: 0.55,
+        enabled: true
+    }
+];
+
+const STYLE_ID_PATTERN = /^[a-z0-9][a-z0-9-]{0,31}$/;
+
+/**
+ * Check a style preset
+ * Returns an error message, or null when valid
+ */
+function validateStyle(style) {
+    if (!style || typeof style !== 'object') {
+        return 'Style must be an object';
+    }
+    if (!STYLE_ID_PATTERN.test(style.id || '')) {
+        return 'Style id must be 1-32 lowercase letters, digits or dashes';
+    }
+    if (typeof style.name !== 'string' || !style.name.trim() || style.name.length > 40) {
+        return 'Style name must be 1-40 characters';
+    }
+    if (typeof style.prompt !== 'string' || !style.prompt.trim() || style.prompt.length > 1000) {
+        return 'Style prompt must be 1-1000 characters';
+    }
+    if (style.negativePrompt !== undefined && typeof style.negativePrompt !== 'string') {
+        return 'Negative prompt must be a string';
+    }
+    if (style.strength !== undefined && style.strength !== null &&
+        !(typeof style.strength === 'number' && style.strength > 0 && style.strength <= 1)) {
+        return 'Strength must be between 0 and 1';
+    }
+    return null;
+}
+
+/**
+ * Keep only the known fields of a (validated) style
+ */
+function normalizeStyle(style) {
+    return {
+        id: style.id,
+        name: style.name.trim(),
+        prompt: style.prompt.trim(),
+        negativePrompt: style.negativePrompt ?? NEGATIVE_PROMPT,
+        strength: style.strength ?? null,
+        enabled: style.enabled !== false
+    };
+}
+
+/**
+ * Style catalogue backed by the settings store
+ */
+function createStyleCatalogue({ storage }) {
+    async function list() {
+        return (await storage.getSetting('styleCatalogue')) || DEFAULT_STYLES;
+    }
+
+    async function save(styles) {
+        await storage.saveSetting('styleCatalogue', styles);
+        return styles;
+    }
+
+    return {
+        list,
+
+        async get(id) {
+            return (await list()).find(style => style.id === id) || null;
+        },
+
+        /**
+         * Resolve the style for a transform request; the first enabled style is the default
+         */
+        async resolve(id) {
+            const enabled = (await list()).filter(style => style.enabled);
+            return id ? enabled.find(style => style.id === id) || null : enabled[0] || null;
+        },
+
+        async upsert(style) {
+            const styles = [...await list()];
+            const index = styles.findIndex(existing => existing.id === style.id);
+            styles[index === -1 ? styles.length : index] = normalizeStyle(style);
+            return save(styles);
+        },
+
+        async remove(id) {
+            const styles = await list();
+            if (!styles.some(style => style.id === id)) return null;
+            return save(styles.filter(style => style.id !== id));
+        },
+
+        async reset() {
+            return save(DEFAULT_STYLES);
+        }
+    };
+}
+
+module.exports = { DEFAULT_STYLES, validateStyle, normalizeStyle, createStyleCatalogue };
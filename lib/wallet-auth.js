@@ -0,0 +1,115 @@
+// lib/wallet-auth.js - Proves a wallet belongs to a Farcaster FID
+//
+// Before an FID generates artwork or has anything pinned, the user signs a
+// SIWE message with the wallet they will mint from. The signer must be the
+// FID's custody address or one of its verified addresses; a successful check
+// is remembered as an opaque bearer token (only its SHA-256 hash is stored).
+const crypto = require('crypto');
+const { SiweMessage, generateNonce } = require('siwe');
+
+/**
+ * Error with the HTTP status and a machine-readable code to respond with
+ */
+class WalletAuthError extends Error {
+    constructor(message, status = 401, code = 'WALLET_NOT_VERIFIED', details = {}) {
+        super(message);
+        this.name = 'WalletAuthError';
+        this.status = status;
+        this.code = code;
+        this.details = details;
+    }
+}
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * The SIWE statement a wallet signs to link itself to `fid`
+ */
+function linkStatement(fid) {
+    return `Link this wallet to Farcaster FID ${fid}`;
+}
+
+/**
+ * Create the wallet verification service
+ * @param {Function} options.getLinkedWallets async fid -> addresses allowed to act for it
+ */
+function createWalletAuth({
+    storage,
+    provider,
+    domain,
+    getLinkedWallets,
+    nonceTtl = 10 * 60 * 1000,
+    ttl = 60 * 60 * 1000
+}) {
+    /**
+     * Issue a single-use nonce for a SIWE message
+     */
+    async function issueNonce() {
+        const nonce = generateNonce();
+        const expiresAt = Date.now() + nonceTtl;
+        await storage.saveAuthNonce(nonce, expiresAt, 'wallet');
+        return { nonce, expiresAt };
+    }
+
+    /**
+     * Verify a signed SIWE message links a custody or verified wallet to `fid`
+     */
+    async function verify({ fid, message, signature }) {
+        if (!fid || !message || !signature) {
+            throw new WalletAuthError('Missing FID, message or signature', 400, 'BAD_REQUEST');
+        }
+
+        let siweMessage;
+        try {
+            siweMessage = new SiweMessage(message);
+        } catch (error) {
+            throw new WalletAuthError('Malformed SIWE message', 400, 'BAD_REQUEST');
+        }
+
+        if (siweMessage.statement !== linkStatement(fid)) {
+            throw new WalletAuthError(`Message must state "${linkStatement(fid)}"`, 400, 'BAD_REQUEST');
+        }
+        if (!(await storage.consumeAuthNonce(siweMessage.nonce, 'wallet'))) {
+            throw new WalletAuthError('Invalid or expired nonce');
+        }
+
+        try {
+            await siweMessage.verify({ signature, domain, nonce: siweMessage.nonce }, { provider });
+        } catch (error) {
+            throw new WalletAuthError(`Signature verification failed: ${error.error?.type || error.message}`);
+        }
+
+        const address = siweMessage.address;
+        const linked = (await getLinkedWallets(fid)).filter(Boolean);
+        if (!linked.some(wallet => wallet.toLowerCase() === address.toLowerCase())) {
+            throw new WalletAuthError(
+                `${address} is not a custody or verified address for FID ${fid}`,
+                403,
+                'WALLET_NOT_LINKED',
+                { address, linkedWallets: linked }
+            );
+        }
+
+        const token = crypto.randomBytes(32).toString('hex');
+        const expiresAt = Date.now() + ttl;
+        await storage.saveWalletVerification({ tokenHash: hashToken(token), fid, address, expiresAt });
+
+        return { token, fid, address, expiresAt };
+    }
+
+    /**
+     * Look up an unexpired verification; resolves to { fid, address, ... } or null
+     */
+    async function getVerification(token) {
+        if (!token || typeof token !== 'string') return null;
+        const verification = await storage.getWalletVerification(hashToken(token));
+        if (!verification || verification.expiresAt < Date.now()) return null;
+        return verification;
+    }
+
+    return { issueNonce, verify, getVerification };
+}
+
+module.exports = { createWalletAuth, linkStatement, WalletAuthError };
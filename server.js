@@ -4,12 +4,50 @@ const express = require('express');
 const cors = require('cors');
 const { ethers } = require('ethers');
 const axios = require('axios');
-const FormData = require('form-data');
 const multer = require('multer');
 const sharp = require('sharp');
+const crypto = require('crypto');
+const dns = require('dns');
+const { createStorage } = require('./lib/storage');
+const {
+    TRANSFER_POLICIES,
+    getCyberProfileContract,
+    signMintVoucher,
+    signRerollVoucher,
+    signTransferVoucher
+} = require('./lib/contract');
+const {
+    SYNCED_FIELDS,
+    readContractParams,
+    detectDrift,
+    validateMintingParams,
+    buildParameterTransactions
+} = require('./lib/params-sync');
+const { createIndexer } = require('./lib/indexer');
+const { createMintVerifier, MintVerificationError } = require('./lib/mint-verifier');
+const { createAdminAuth, getBearerToken, AdminAuthError } = require('./lib/admin-auth');
+const { createWalletAuth, WalletAuthError } = require('./lib/wallet-auth');
+const { createProOracle } = require('./lib/pro-oracle');
+const { createImageGenerator } = require('./lib/image-providers');
+const { validateSourceImage, normalizeSourceImage } = require('./lib/source-image');
+const { validateStyle, createStyleCatalogue } = require('./lib/styles');
+const { createJobQueue, QueueFullError } = require('./lib/job-queue');
+const { createTokenBucket, rateLimit } = require('./lib/rate-limit');
+const { createQuotaService } = require('./lib/quotas');
+const { createImageCache } = require('./lib/image-cache');
+const { createPinningService, computeCid } = require('./lib/pinning');
+const { DEFAULT_ALLOWED_HOSTS, isPrivateAddress, createImageFetcher } = require('./lib/image-fetcher');
+const { sanitizeText, sanitizeUsername } = require('./lib/sanitize');
+const { buildMetadata, validateMetadata } = require('./lib/metadata');
+const { withDefaults, validatePipeline, createPostProcessor } = require('./lib/post-process');
 
 const app = express();
-const upload = multer({ storage: multer.memoryStorage() });
+// Uploaded source images are held in memory until validated
+const UPLOAD_MAX_BYTES = parseInt(process.env.UPLOAD_MAX_BYTES || String(10 * 1024 * 1024));
+const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: UPLOAD_MAX_BYTES, files: 1 }
+});
 
 // Middleware
 app.use(cors({
@@ -23,21 +61,219 @@ app.use(cors({
     allowedHeaders: ['Content-Type', 'Authorization']
 }));
 app.use(express.json());
+// Number of proxy hops in front of the app (Railway/Vercel), so req.ip is the client
+app.set('trust proxy', parseInt(process.env.TRUST_PROXY || '0'));
 app.use(express.static('public'));
 
 // Configuration
 const PORT = process.env.PORT || 3000;
 const PINATA_API_KEY = process.env.PINATA_API_KEY;
 const PINATA_SECRET = process.env.PINATA_SECRET;
-const TOGETHER_API_KEY = process.env.TOGETHER_API_KEY;
 const NEYNAR_API_KEY = process.env.NEYNAR_API_KEY;
+// Public origin of this API, used in the URLs of cached images
+const PUBLIC_BASE_URL = (process.env.PUBLIC_BASE_URL || `http://localhost:${PORT}`).replace(/\/$/, '');
+// Gateway used to read back pinned files when repairing tokens
+const IPFS_GATEWAY_URL = (process.env.IPFS_GATEWAY_URL || 'https://gateway.pinata.cloud/ipfs/').replace(/\/?$/, '/');
+// Token page linked from metadata as external_url; {fid} is replaced
+const TOKEN_PAGE_URL = process.env.TOKEN_PAGE_URL || 'https://cyber-profile-seven.vercel.app/?fid={fid}';
 
 // Contract configuration
 const CONTRACT_ADDRESS = process.env.CONTRACT_ADDRESS;
 const PROVIDER_URL = process.env.PROVIDER_URL || 'https://mainnet.base.org';
 const provider = new ethers.providers.JsonRpcProvider(PROVIDER_URL);
 
-// In-memory store for parameters (in production, use database)
+// Signers for contract admin calls - the oracle may update Pro status,
+// everything else needs the owner
+const ownerSigner = process.env.OWNER_PRIVATE_KEY
+    ? new ethers.Wallet(process.env.OWNER_PRIVATE_KEY, provider)
+    : null;
+const oracleSigner = process.env.ORACLE_PRIVATE_KEY
+    ? new ethers.Wallet(process.env.ORACLE_PRIVATE_KEY, provider)
+    : ownerSigner;
+
+// Lifetime of the EIP-712 vouchers the contract requires for public mints and re-rolls
+const MINT_VOUCHER_TTL_SECONDS = parseInt(process.env.MINT_VOUCHER_TTL_SECONDS || '900');
+
+// Persistent storage (SQLite by default)
+const storage = createStorage({
+    driver: process.env.STORAGE_DRIVER || 'sqlite',
+    path: process.env.DATABASE_PATH || './data/cyberprofile.db'
+});
+
+// Chain indexer - keeps mint state in sync with contract events
+const indexer = CONTRACT_ADDRESS && process.env.INDEXER_ENABLED !== 'false'
+    ? createIndexer({
+        provider,
+        storage,
+        contractAddress: CONTRACT_ADDRESS,
+        startBlock: parseInt(process.env.INDEXER_START_BLOCK || '0'),
+        confirmations: parseInt(process.env.INDEXER_CONFIRMATIONS || '5'),
+        reorgDepth: parseInt(process.env.INDEXER_REORG_DEPTH || '20'),
+        batchSize: parseInt(process.env.INDEXER_BATCH_SIZE || '2000'),
+        pollInterval: parseInt(process.env.INDEXER_POLL_INTERVAL_MS || '15000'),
+        // Re-read the struct rather than replaying events: updateFidRange
+        // and updateMintPrices change it without emitting any
+        onSync: syncParametersFromChain
+    })
+    : null;
+
+// Verifies /api/record-mint submissions against transaction receipts
+const mintVerifier = createMintVerifier({
+    provider,
+    contractAddress: CONTRACT_ADDRESS,
+    confirmations: parseInt(process.env.RECORD_MINT_CONFIRMATIONS || '2')
+});
+
+// Admin sessions - Sign-In-With-Ethereum by the contract owner or ADMIN_ADDRESSES
+const adminAuth = createAdminAuth({
+    storage,
+    provider,
+    contractAddress: CONTRACT_ADDRESS,
+    adminAddresses: (process.env.ADMIN_ADDRESSES || '').split(',').map(a => a.trim()).filter(Boolean),
+    domain: process.env.ADMIN_SIWE_DOMAIN || 'cyber-profile-seven.vercel.app',
+    sessionTtl: parseInt(process.env.ADMIN_SESSION_TTL_MS || String(12 * 60 * 60 * 1000))
+});
+
+// Wallet verification - proves the minting wallet belongs to the FID before anything is pinned
+const walletAuth = createWalletAuth({
+    storage,
+    provider,
+    domain: process.env.WALLET_SIWE_DOMAIN || process.env.ADMIN_SIWE_DOMAIN || 'cyber-profile-seven.vercel.app',
+    getLinkedWallets: async (fid) => {
+        const user = await getFarcasterUser(fid);
+        return [user.custodyAddress, ...(user.verifications || [])];
+    },
+    ttl: parseInt(process.env.WALLET_VERIFICATION_TTL_MS || String(60 * 60 * 1000))
+});
+
+// Pro status oracle - syncs Neynar power badges into the contract's isProUser
+const proOracle = CONTRACT_ADDRESS && oracleSigner
+    ? createProOracle({
+        storage,
+        contract: getCyberProfileContract(CONTRACT_ADDRESS, oracleSigner),
+        fetchPowerBadges: getPowerBadges,
+        batchSize: parseInt(process.env.PRO_ORACLE_BATCH_SIZE || '100'),
+        interval: parseInt(process.env.PRO_ORACLE_INTERVAL_MS || String(60 * 60 * 1000)),
+        dryRun: process.env.PRO_ORACLE_DRY_RUN === 'true'
+    })
+    : null;
+
+// Image generation - primary provider with an optional fallback
+const imageGenerator = createImageGenerator({
+    chain: [
+        process.env.IMAGE_PROVIDER || 'together',
+        process.env.IMAGE_FALLBACK_PROVIDER
+    ].filter(Boolean),
+    timeout: parseInt(process.env.IMAGE_PROVIDER_TIMEOUT_MS || '60000'),
+    retries: parseInt(process.env.IMAGE_PROVIDER_RETRIES || '1'),
+    config: {
+        together: {
+            apiKey: process.env.TOGETHER_API_KEY,
+            timeout: parseInt(process.env.TOGETHER_TIMEOUT_MS) || undefined
+        },
+        replicate: {
+            apiToken: process.env.REPLICATE_API_TOKEN,
+            timeout: parseInt(process.env.REPLICATE_TIMEOUT_MS) || undefined
+        }
+    }
+});
+
+// IPFS pinning - every file goes to each backend listed, e.g. "pinata,kubo"
+const pinning = createPinningService({
+    backends: (process.env.PINNING_BACKENDS || 'pinata').split(',').map(name => name.trim()).filter(Boolean),
+    minPins: parseInt(process.env.PINNING_MIN_PINS || '1'),
+    config: {
+        pinata: {
+            apiKey: PINATA_API_KEY,
+            secret: PINATA_SECRET
+        },
+        kubo: {
+            url: process.env.KUBO_API_URL,
+            auth: process.env.KUBO_API_AUTH
+        },
+        local: {
+            dir: process.env.LOCAL_PIN_DIR
+        }
+    }
+});
+
+// Remote images (profile pictures, provider results) - allowlisted public hosts only
+const imageFetcher = createImageFetcher({
+    // Pinned images are read back through IPFS_GATEWAY_URL, whichever gateway that is
+    allowedHosts: [
+        ...(process.env.IMAGE_FETCH_ALLOWED_HOSTS
+            ? process.env.IMAGE_FETCH_ALLOWED_HOSTS.split(',').map(host => host.trim().toLowerCase()).filter(Boolean)
+            : DEFAULT_ALLOWED_HOSTS),
+        new URL(IPFS_GATEWAY_URL).hostname.toLowerCase()
+    ],
+    maxBytes: parseInt(process.env.IMAGE_FETCH_MAX_BYTES || String(10 * 1024 * 1024)),
+    timeout: parseInt(process.env.IMAGE_FETCH_TIMEOUT_MS || '15000'),
+    allowPrivate: process.env.IMAGE_FETCH_ALLOW_PRIVATE === 'true'
+});
+
+// Generated images - stored on disk and served from /api/images
+const imageCache = createImageCache({
+    storage,
+    dir: process.env.IMAGE_CACHE_DIR || './data/images',
+    maxBytes: parseInt(process.env.IMAGE_CACHE_MAX_BYTES || String(1024 * 1024 * 1024)),
+    maxEntries: parseInt(process.env.IMAGE_CACHE_MAX_ENTRIES || '5000'),
+    ttl: parseInt(process.env.IMAGE_CACHE_TTL_MS || String(30 * 24 * 60 * 60 * 1000))
+});
+
+// Post-processing applied before pinning - admin-managed, stored in settings
+const postProcessor = createPostProcessor({ storage });
+
+// Style presets - admin-managed, stored in settings
+const styles = createStyleCatalogue({ storage });
+
+// img2img sends the user's PFP as the init image; txt2img ignores it
+const TRANSFORM_MODE = process.env.TRANSFORM_MODE || 'img2img';
+// Unset leaves it to the provider (Together's Kontext edits cannot take one)
+const TRANSFORM_STRENGTH = process.env.TRANSFORM_STRENGTH ? parseFloat(process.env.TRANSFORM_STRENGTH) : null;
+
+// Variants generated per transform (different seeds) for the user to pick from
+const TRANSFORM_VARIANTS = parseInt(process.env.TRANSFORM_VARIANTS || '4');
+const TRANSFORM_MAX_VARIANTS = parseInt(process.env.TRANSFORM_MAX_VARIANTS || '4');
+
+// Transform jobs - generation runs off the request in a bounded worker pool
+const transformQueue = createJobQueue({
+    // A failed job gives back the quota it was charged
+    handler: async ({ imageUrl, fid, style, variants, charge }, report) => {
+        try {
+            return await transformToCyberpunk(imageUrl, fid, style, variants, report);
+        } catch (error) {
+            if (charge) await quotas.refund(charge);
+            throw error;
+        }
+    },
+    concurrency: parseInt(process.env.TRANSFORM_CONCURRENCY || '2'),
+    maxQueued: parseInt(process.env.TRANSFORM_QUEUE_LIMIT || '100'),
+    ttl: parseInt(process.env.TRANSFORM_JOB_TTL_MS || String(60 * 60 * 1000))
+});
+
+// Daily generation quotas - paid AI calls per FID and per IP
+const quotas = createQuotaService({
+    storage,
+    perFid: parseInt(process.env.QUOTA_FID_DAILY || '24'),
+    perFidAfterMint: parseInt(process.env.QUOTA_FID_DAILY_AFTER_MINT || '8'),
+    perIp: parseInt(process.env.QUOTA_IP_DAILY || '80')
+});
+
+// Burst limits per IP on the expensive routes
+const transformBucket = createTokenBucket({
+    capacity: parseInt(process.env.TRANSFORM_RATE_BURST || '5'),
+    refillPerMinute: parseFloat(process.env.TRANSFORM_RATE_PER_MINUTE || '2')
+});
+const uploadBucket = createTokenBucket({
+    capacity: parseInt(process.env.UPLOAD_RATE_BURST || '5'),
+    refillPerMinute: parseFloat(process.env.UPLOAD_RATE_PER_MINUTE || '2')
+});
+const prepareMintBucket = createTokenBucket({
+    capacity: parseInt(process.env.PREPARE_MINT_RATE_BURST || '3'),
+    refillPerMinute: parseFloat(process.env.PREPARE_MINT_RATE_PER_MINUTE || '1')
+});
+
+// Minting parameters - loaded from storage on startup, these are the defaults
 let mintingParameters = {
     minFid: 1,
     maxFid: 100000,
@@ -48,11 +284,109 @@ let mintingParameters = {
     paused: false
 };
 
-// Cache for transformed images
-const transformCache = new Map();
+// ===== PERSISTENCE =====
+
+/**
+ * Load minting parameters from storage, keeping defaults for missing fields
+ */
+async function loadMintingParameters() {
+    const stored = await storage.getSetting('mintingParameters');
+    if (!stored) {
+        await saveMintingParameters();
+        return;
+    }
+
+    mintingParameters = {
+        ...mintingParameters,
+        ...stored,
+        baseMintPrice: ethers.BigNumber.from(stored.baseMintPrice),
+        proMintPrice: ethers.BigNumber.from(stored.proMintPrice)
+    };
+}
+
+/**
+ * Persist the current minting parameters
+ */
+async function saveMintingParameters() {
+    await storage.saveSetting('mintingParameters', {
+        ...mintingParameters,
+        baseMintPrice: mintingParameters.baseMintPrice.toString(),
+        proMintPrice: mintingParameters.proMintPrice.toString()
+    });
+}
+
+/**
+ * Minting parameters with prices formatted in ETH for API responses
+ */
+function formatMintingParameters() {
+    return {
+        ...mintingParameters,
+        baseMintPrice: ethers.utils.formatEther(mintingParameters.baseMintPrice),
+        proMintPrice: ethers.utils.formatEther(mintingParameters.proMintPrice)
+    };
+}
+
+// ===== CHAIN SYNC =====
+
+/**
+ * Pull MintingParams and pause state from the contract into the server
+ */
+async function syncParametersFromChain() {
+    const chainParams = await readContractParams(getCyberProfileContract(CONTRACT_ADDRESS, provider));
+    for (const field of SYNCED_FIELDS) {
+        mintingParameters[field] = chainParams[field];
+    }
+    await saveMintingParameters();
+    return chainParams;
+}
+
+/**
+ * Compare server parameters against the contract for the admin dashboard
+ */
+async function checkParameterDrift() {
+    if (!CONTRACT_ADDRESS) return null;
+
+    try {
+        const chainParams = await readContractParams(getCyberProfileContract(CONTRACT_ADDRESS, provider));
+        const mismatches = detectDrift(mintingParameters, chainParams);
+        return { inSync: mismatches.length === 0, mismatches, checkedAt: new Date().toISOString() };
+    } catch (error) {
+        console.error('Error checking parameter drift:', error.message);
+        return { inSync: null, error: error.message, checkedAt: new Date().toISOString() };
+    }
+}
+
+/**
+ * Current transfer policy name, or null without a readable contract
+ */
+async function readTransferPolicy() {
+    if (!CONTRACT_ADDRESS) return null;
+    try {
+        const policy = await getCyberProfileContract(CONTRACT_ADDRESS, provider).transferPolicy();
+        return TRANSFER_POLICIES[policy];
+    } catch (error) {
+        console.error('Error reading transfer policy:', error.message);
+        return null;
+    }
+}
+
+/**
+ * Pro price tier for a FID - uses the contract's Pro status once the indexer runs
+ */
+async function isProForMint(fid, userData) {
+    if (indexer) {
+        return (await storage.getProStatus(fid)) === true;
+    }
+    return !!userData.isPro;
+}
 
-// Track minted FIDs (in production, use database)
-const mintedFids = new Set();
+/**
+ * Mint price for a FID
+ */
+async function getMintPriceForFid(fid, userData) {
+    const isPro = await isProForMint(fid, userData);
+    return isPro ? mintingParameters.proMintPrice : mintingParameters.baseMintPrice;
+}
 
 // ===== FARCASTER INTEGRATION =====
 
@@ -78,6 +412,7 @@ async function getFarcasterUser(fid) {
             displayName: user.display_name,
             profileImage: user.pfp_url,
             isPro: user.power_badge || false,
+            followerCount: user.follower_count || 0,
             custodyAddress: user.custody_address,
             verifications: user.verifications
         };
@@ -87,92 +422,229 @@ async function getFarcasterUser(fid) {
     }
 }
 
+/**
+ * Get power badge status for up to 100 FIDs in one Neynar call
+ * Returns a Map of fid -> boolean; unknown FIDs are omitted
+ */
+async function getPowerBadges(fids) {
+    try {
+        const response = await axios.get(
+            `https://api.neynar.com/v2/farcaster/user/bulk?fids=${fids.join(',')}`,
+            {
+                headers: {
+                    'accept': 'application/json',
+                    'api_key': NEYNAR_API_KEY
+                }
+            }
+        );
+        
+        return new Map(response.data.users.map(user => [user.fid, user.power_badge || false]));
+    } catch (error) {
+        console.error('Error fetching power badges:', error.response?.data || error.message);
+        throw new Error('Failed to fetch Farcaster user data');
+    }
+}
+
 // ===== AI IMAGE TRANSFORMATION =====
 
 /**
- * Transform profile picture using Together.ai API
+ * Download a profile picture and normalize it for img2img
+ * Uploaded sources are read straight from the image cache
+ */
+async function loadSourceImage(imageUrl) {
+    const uploadKey = imageKeyFromUrl(imageUrl);
+    if (uploadKey) {
+        const image = await imageCache.get(uploadKey);
+        if (!image) throw new Error('Uploaded source image has expired');
+        // The cache holds the normalized upload - provenance needs the file the user sent
+        const uploaded = await storage.getUploadedSource(uploadKey);
+        return { ...(await normalizeSourceImage(image)), originalSha256: uploaded ? uploaded.originalSha256 : null };
+    }
+
+    return normalizeSourceImage(await imageFetcher.fetch(imageUrl));
+}
+
+/**
+ * Cache key for a transform - editing a preset's prompt does not invalidate it
+ */
+function transformCacheKey(imageUrl, fid, style, count) {
+    return `${fid}-${imageUrl}-${style.id}-${TRANSFORM_MODE}-${style.strength ?? TRANSFORM_STRENGTH}-x${count}`;
+}
+
+/**
+ * Previous transform for this request whose variant images are all still cached
+ * Resolves to the transform with its `variants`, or null
+ */
+async function findCachedTransform(imageUrl, fid, style, count) {
+    const cacheKey = transformCacheKey(imageUrl, fid, style, count);
+    const cached = await storage.getTransform(cacheKey);
+    if (!cached) return null;
+
+    const variants = await storage.listVariants(cacheKey);
+    const complete = variants.length === count && variants.every(variant => imageCache.has(variant.imageKey));
+    return complete ? { ...cached, variants } : null;
+}
+
+function sha256(value) {
+    return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+/**
+ * Seed derived from the source, style and variant index, so a repeat request hits the image cache
+ */
+function deriveSeed(sourceId, styleId, index) {
+    return parseInt(sha256(`${sourceId}:${styleId}:${index}`).slice(0, 8), 16) % 2147483647;
+}
+
+function imageCacheUrl(key) {
+    return `${PUBLIC_BASE_URL}/api/images/${key}.png`;
+}
+
+/**
+ * Together downloads img2img sources from /api/images itself, so refuse to
+ * start when it may be asked to and PUBLIC_BASE_URL is not a public address
  */
-async function transformToCyberpunk(imageUrl, fid) {
+async function checkSourceImageHosting() {
+    const together = imageGenerator.describe().find(provider => provider.name === 'together');
+    if (TRANSFORM_MODE !== 'img2img' || !together || !together.configured) return;
+
+    const { hostname } = new URL(PUBLIC_BASE_URL);
+    const addresses = await dns.promises.lookup(hostname, { all: true }).catch(() => []);
+    if (!addresses.length || addresses.some(entry => isPrivateAddress(entry.address))) {
+        throw new Error(`Together img2img fetches source images from PUBLIC_BASE_URL, but ${PUBLIC_BASE_URL} ` +
+            'is not publicly reachable - set PUBLIC_BASE_URL to this server\'s public address');
+    }
+}
+
+function imageKeyFromUrl(url) {
+    const match = url.startsWith(`${PUBLIC_BASE_URL}/api/images/`) && url.match(/\/([0-9a-f]{64})\.png$/);
+    return match ? match[1] : null;
+}
+
+/**
+ * Download a provider result (http(s) or data: URL)
+ */
+async function fetchImageBuffer(url) {
+    if (url.startsWith('data:')) {
+        return Buffer.from(url.slice(url.indexOf(',') + 1), 'base64');
+    }
+    return imageFetcher.fetch(url);
+}
+
+/**
+ * Transform profile picture in a style preset through the configured image providers
+ * Generates `count` variants with different seeds
+ * Resolves to { variants: [{ id, url, seed }], sourceHash, mode, style }
+ * onProgress(stage, percent) is called as work advances
+ */
+async function transformToCyberpunk(imageUrl, fid, style, count = 1, onProgress = () => {}) {
     try {
+        const strength = style.strength ?? TRANSFORM_STRENGTH;
+        const toResult = (transform, variants) => ({
+            variants: variants.map(variant => ({ id: variant.id, url: imageCacheUrl(variant.imageKey), seed: variant.seed })),
+            sourceHash: transform.sourceHash,
+            mode: transform.mode,
+            style: { id: transform.styleId, name: transform.styleName }
+        });
+
         // Check cache first
-        const cacheKey = `${fid}-${imageUrl}`;
-        if (transformCache.has(cacheKey)) {
+        const cacheKey = transformCacheKey(imageUrl, fid, style, count);
+        const cached = await findCachedTransform(imageUrl, fid, style, count);
+        if (cached) {
             console.log('Using cached transformation for FID:', fid);
-            return transformCache.get(cacheKey);
+            return toResult(cached, cached.variants);
         }
 
-        console.log('Transforming image for FID:', fid);
+        console.log(`Transforming image for FID ${fid} (${style.id}, ${TRANSFORM_MODE}, ${count} variants)`);
 
-        // Use Together.ai's Stable Diffusion XL for cyberpunk transformation
-        const response = await axios.post(
-            'https://api.together.xyz/v1/images/generations',
-            {
-                model: "stabilityai/stable-diffusion-xl-base-1.0",
-                prompt: "cyberpunk futuristic neon portrait, highly detailed, digital art, concept art, trending on artstation, dramatic lighting, neon colors, holographic elements, augmented reality, chrome and glass, dystopian aesthetic, 8k, masterpiece",
-                negative_prompt: "ugly, blurry, low quality, distorted, deformed, duplicate, worst quality",
-                width: 1024,
-                height: 1024,
-                steps: 30,
-                n: 1,
-                seed: Math.floor(Math.random() * 1000000)
-            },
-            {
-                headers: {
-                    'Authorization': `Bearer ${TOGETHER_API_KEY}`,
-                    'Content-Type': 'application/json'
-                }
+        if (TRANSFORM_MODE === 'img2img') onProgress('downloading', 10);
+        const source = TRANSFORM_MODE === 'img2img' ? await loadSourceImage(imageUrl) : null;
+        if (source && !imageCache.has(source.sha256)) {
+            // Providers that only accept a hosted image fetch it from /api/images
+            await imageCache.put(source.sha256, source.buffer);
+        }
+
+        // Images are addressed by what produced them, so the same picture
+        // behind a new URL (or another FID) reuses the stored result
+        const sourceId = source ? source.sha256 : sha256(imageUrl);
+
+        onProgress('generating', 20);
+        let completed = 0;
+        const variants = await Promise.all(Array.from({ length: count }, async (_, index) => {
+            const seed = deriveSeed(sourceId, style.id, index);
+            const imageKey = sha256(JSON.stringify({ source: sourceId, style: style.id, seed, mode: TRANSFORM_MODE, strength }));
+
+            let provider = 'cache';
+            let model = null;
+            let appliedStrength = null;
+            if (!imageCache.has(imageKey)) {
+                const generated = await imageGenerator.generate({
+                    prompt: style.prompt,
+                    negativePrompt: style.negativePrompt,
+                    width: 1024,
+                    height: 1024,
+                    seed,
+                    imageUrl,
+                    fid,
+                    ...(source && {
+                        initImage: source.dataUrl,
+                        initImageUrl: imageCacheUrl(source.sha256),
+                        ...(strength !== null && { strength })
+                    })
+                });
+                provider = generated.provider;
+                model = generated.model;
+                appliedStrength = generated.strength;
+
+                // Provider URLs expire, so keep our own copy
+                const image = await sharp(await fetchImageBuffer(generated.url)).png().toBuffer();
+                await imageCache.put(imageKey, image);
             }
-        );
 
-        // Together.ai returns the image URL directly
-        const transformedUrl = response.data.data[0].url;
-        
-        // Cache the result
-        transformCache.set(cacheKey, transformedUrl);
+            completed++;
+            onProgress('generating', 20 + Math.round(70 * completed / count));
+            return { id: crypto.randomUUID(), fid, index, seed, imageKey, provider, model, strength: appliedStrength };
+        }));
+
+        onProgress('saving', 90);
+        const transform = {
+            fid,
+            imageUrl,
+            resultUrl: imageCacheUrl(variants[0].imageKey),
+            sourceHash: source ? source.originalSha256 : null,
+            provider: variants[0].provider,
+            mode: TRANSFORM_MODE,
+            styleId: style.id,
+            styleName: style.name,
+            prompt: style.prompt,
+            strength: variants[0].strength,
+            imageKey: variants[0].imageKey
+        };
+        await storage.saveTransform(cacheKey, transform);
+        await storage.saveVariants(cacheKey, variants);
         
-        console.log('Transformation successful:', transformedUrl);
-        return transformedUrl;
+        console.log(`Transformation successful via ${[...new Set(variants.map(variant => variant.provider))].join(', ')}`);
+        return toResult(transform, variants);
     } catch (error) {
-        console.error('Error transforming image with Together.ai:', error.response?.data || error.message);
+        console.error('Error transforming image:', error.message);
         throw new Error('Failed to transform image');
     }
 }
 
-// ===== IPFS/PINATA INTEGRATION =====
+// ===== IPFS INTEGRATION =====
 
 /**
- * Upload image to IPFS via Pinata
+ * Upload image bytes to IPFS through the pinning backends
  */
-async function uploadToIPFS(imageUrl) {
+async function uploadToIPFS(buffer, filename) {
     try {
-        console.log('Uploading image to IPFS:', imageUrl);
-        
-        // Download the image
-        const response = await axios.get(imageUrl, { responseType: 'arraybuffer' });
-        const buffer = Buffer.from(response.data);
-
-        // Create form data
-        const formData = new FormData();
-        formData.append('file', buffer, 'cyberpunk-pfp.png');
-
-        // Upload to Pinata
-        const pinataResponse = await axios.post(
-            'https://api.pinata.cloud/pinning/pinFileToIPFS',
-            formData,
-            {
-                headers: {
-                    ...formData.getHeaders(),
-                    'pinata_api_key': PINATA_API_KEY,
-                    'pinata_secret_api_key': PINATA_SECRET
-                }
-            }
-        );
+        console.log('Uploading image to IPFS:', filename);
 
-        const ipfsHash = pinataResponse.data.IpfsHash;
-        console.log('Image uploaded to IPFS:', ipfsHash);
-        return `ipfs://${ipfsHash}`;
+        const { cid, pins } = await pinning.pin(buffer, { name: filename });
+        console.log('Image uploaded to IPFS:', cid, pins.filter(p => p.ok).map(p => p.backend).join(', '));
+        return `ipfs://${cid}`;
     } catch (error) {
-        console.error('Error uploading to IPFS:', error.response?.data || error.message);
+        console.error('Error uploading to IPFS:', error.message);
         throw new Error('Failed to upload to IPFS');
     }
 }
@@ -181,30 +653,141 @@ async function uploadToIPFS(imageUrl) {
  * Upload metadata to IPFS
  */
 async function uploadMetadataToIPFS(metadata) {
+    const invalid = validateMetadata(metadata);
+    if (invalid) {
+        throw new Error(`Invalid metadata: ${invalid}`);
+    }
+
     try {
         console.log('Uploading metadata to IPFS');
-        
-        const response = await axios.post(
-            'https://api.pinata.cloud/pinning/pinJSONToIPFS',
-            metadata,
-            {
-                headers: {
-                    'pinata_api_key': PINATA_API_KEY,
-                    'pinata_secret_api_key': PINATA_SECRET,
-                    'Content-Type': 'application/json'
-                }
-            }
-        );
 
-        const ipfsHash = response.data.IpfsHash;
-        console.log('Metadata uploaded to IPFS:', ipfsHash);
-        return `ipfs://${ipfsHash}`;
+        const { cid, pins } = await pinning.pinJSON(metadata, { name: `${metadata.name}.json` });
+        console.log('Metadata uploaded to IPFS:', cid, pins.filter(p => p.ok).map(p => p.backend).join(', '));
+        return `ipfs://${cid}`;
     } catch (error) {
-        console.error('Error uploading metadata to IPFS:', error.response?.data || error.message);
+        console.error('Error uploading metadata to IPFS:', error.message);
         throw new Error('Failed to upload metadata to IPFS');
     }
 }
 
+/**
+ * Gateway URL for an ipfs:// URI
+ */
+function ipfsGatewayUrl(uri) {
+    return IPFS_GATEWAY_URL + uri.replace(/^ipfs:\/\//, '');
+}
+
+/**
+ * Read a pinned file back through the gateway
+ * Resolves to the bytes only if they hash to the CID in `uri`, otherwise null.
+ * Tokens pinned before CIDv1 carry Pinata's default CIDv0 (ipfs://Qm...)
+ */
+async function readPinnedFile(uri, { image = false } = {}) {
+    if (typeof uri !== 'string' || !uri.startsWith('ipfs://')) return null;
+    try {
+        const buffer = image
+            ? await imageFetcher.fetch(ipfsGatewayUrl(uri))
+            : Buffer.from((await axios.get(ipfsGatewayUrl(uri), {
+                responseType: 'arraybuffer',
+                maxContentLength: 1024 * 1024,
+                timeout: 15000
+            })).data);
+        const cid = uri.slice('ipfs://'.length);
+        const version = cid.startsWith('Qm') ? 0 : 1;
+        return computeCid(buffer, { version }) === cid ? buffer : null;
+    } catch (error) {
+        console.error(`Error reading ${uri} from gateway:`, error.message);
+        return null;
+    }
+}
+
+/**
+ * Repin a token's image and metadata; resolves to the tokenURI it should have
+ * Metadata is read back from the current tokenURI when a gateway still serves
+ * it, otherwise taken from the prepared mint - which is only the token's
+ * metadata while it has never been re-rolled. Either way the document is
+ * pinned as it stands: tokens prepared before the current schema must not
+ * fail validation just to be re-pinned.
+ */
+async function repinToken({ fid, currentURI, rerollCount }) {
+    let document = await readPinnedFile(currentURI);
+    const readBack = !!document;
+    if (!readBack) {
+        const prepared = await storage.getPreparedMint(fid);
+        if (!prepared || rerollCount > 0) {
+            throw new Error('Metadata is not retrievable and no local copy matches the token');
+        }
+        document = Buffer.from(JSON.stringify(prepared.metadata));
+    }
+    const metadata = JSON.parse(document.toString());
+
+    const image = await readPinnedFile(metadata.image, { image: true });
+    if (!image) {
+        throw new Error(`Image ${metadata.image} is not retrievable - the holder must re-roll`);
+    }
+    await uploadToIPFS(image, `cyberprofile-${fid}-repin`);
+
+    const { uri } = await pinning.pin(document, { name: `${metadata.name}.json` });
+    return readBack ? currentURI : uri;
+}
+
+/**
+ * Look up a generated variant `fid` may put on its token
+ * Resolves to { variant, transform, image }, or { status, error } when unusable
+ */
+async function resolveVariant(variantId, fid) {
+    // Only a variant the server generated for this FID can be minted
+    const variant = await storage.getVariant(String(variantId));
+    if (!variant) {
+        return { status: 404, error: 'Unknown variant' };
+    }
+    if (variant.fid !== fid) {
+        return { status: 403, error: 'Variant belongs to another FID' };
+    }
+    const transform = await storage.getTransform(variant.cacheKey);
+    const image = await imageCache.get(variant.imageKey);
+    if (!transform || !image) {
+        return { status: 410, error: 'Variant image has expired, please transform again' };
+    }
+    return { variant, transform, image };
+}
+
+/**
+ * Brand a variant, then pin its image and metadata to IPFS
+ * Resolves to { tokenURI, ipfsImageUrl, metadata }
+ */
+async function pinVariant({ fid, user, username, displayName, variant, transform, image, rerolls = 0 }) {
+    const processed = await postProcessor.process(image, { username, fid });
+    const filename = rerolls ? `cyberprofile-${fid}-r${rerolls}` : `cyberprofile-${fid}`;
+    const ipfsImageUrl = await uploadToIPFS(processed.buffer, `${filename}.${processed.extension}`);
+
+    const metadata = buildMetadata({
+        fid,
+        username,
+        displayName,
+        isPro: user.isPro,
+        followerCount: user.followerCount,
+        image: ipfsImageUrl,
+        externalUrl: TOKEN_PAGE_URL.replace('{fid}', fid),
+        style: { id: transform.styleId || 'cyberpunk', name: transform.styleName || 'Cyberpunk' },
+        generation: {
+            mode: transform.mode,
+            provider: variant.provider,
+            model: variant.model,
+            seed: variant.seed,
+            prompt: transform.prompt,
+            strength: variant.strength
+        },
+        // Provenance - proves an img2img token was derived from the holder's own PFP
+        source: transform.sourceHash && { url: transform.imageUrl, sha256: transform.sourceHash },
+        postProcessing: processed.steps,
+        rerolls
+    });
+
+    const tokenURI = await uploadMetadataToIPFS(metadata);
+    return { tokenURI, ipfsImageUrl, metadata };
+}
+
 // ===== API ROUTES =====
 
 /**
@@ -238,16 +821,16 @@ app.post('/api/auth/callback', async (req, res) => {
         
         // Get full user data
         const userData = await getFarcasterUser(fid);
+        await storage.markFidSeen(fid);
         
         // Check eligibility
+        const hasMinted = !!(await storage.getMint(fid));
         const isEligible = fid >= mintingParameters.minFid && 
                           fid <= mintingParameters.maxFid &&
-                          !mintedFids.has(fid) &&
+                          !hasMinted &&
                           !mintingParameters.paused;
         
-        const mintPrice = userData.isPro ? 
-            mintingParameters.proMintPrice : 
-            mintingParameters.baseMintPrice;
+        const mintPrice = await getMintPriceForFid(fid, userData);
         
         res.json({
             success: true,
@@ -255,7 +838,7 @@ app.post('/api/auth/callback', async (req, res) => {
                 ...userData,
                 isEligible,
                 mintPrice: ethers.utils.formatEther(mintPrice),
-                hasMinted: mintedFids.has(fid),
+                hasMinted,
                 signerUuid: signer_uuid
             }
         });
@@ -275,8 +858,8 @@ app.get('/health', (req, res) => {
         timestamp: new Date().toISOString(),
         services: {
             neynar: !!NEYNAR_API_KEY,
-            together: !!TOGETHER_API_KEY,
-            pinata: !!(PINATA_API_KEY && PINATA_SECRET)
+            imageProviders: imageGenerator.describe(),
+            pinning: pinning.describe()
         }
     });
 });
@@ -293,22 +876,24 @@ app.get('/api/user/:fid', async (req, res) => {
         }
         
         const userData = await getFarcasterUser(fid);
+        await storage.markFidSeen(fid);
+        const quota = await quotas.getUsage(fid);
         
         // Check eligibility: FID in range, not paused, hasn't minted yet
+        const hasMinted = !!(await storage.getMint(fid));
         const isEligible = fid >= mintingParameters.minFid && 
                           fid <= mintingParameters.maxFid &&
-                          !mintedFids.has(fid) &&
+                          !hasMinted &&
                           !mintingParameters.paused;
         
-        const mintPrice = userData.isPro ? 
-            mintingParameters.proMintPrice : 
-            mintingParameters.baseMintPrice;
+        const mintPrice = await getMintPriceForFid(fid, userData);
         
         res.json({
             ...userData,
             isEligible,
             mintPrice: ethers.utils.formatEther(mintPrice),
-            hasMinted: mintedFids.has(fid),
+            hasMinted,
+            quota,
             parameters: {
                 minFid: mintingParameters.minFid,
                 maxFid: mintingParameters.maxFid,
@@ -323,81 +908,193 @@ app.get('/api/user/:fid', async (req, res) => {
 });
 
 /**
- * Transform profile picture
+ * Queue a profile picture transform
+ * Requires a wallet verification token for the FID (see /api/wallet/verify),
+ * so one FID's daily quota cannot be spent by anyone else.
+ * Responds 202 with a job; follow it via GET /api/transform/:jobId or its events stream
  */
-app.post('/api/transform', async (req, res) => {
+app.post('/api/transform', rateLimit(transformBucket, { message: 'Too many transform requests' }), async (req, res) => {
     try {
-        const { imageUrl, fid } = req.body;
+        const { sourceId, style: styleId } = req.body;
+        const fid = Number(req.body.fid);
+        const variants = parseInt(req.body.variants || TRANSFORM_VARIANTS);
+        
+        // An uploaded source (from /api/upload-source) replaces the PFP URL
+        const imageUrl = sourceId ? imageCacheUrl(sourceId) : req.body.imageUrl;
         
-        if (!imageUrl || !fid) {
-            return res.status(400).json({ error: 'Missing imageUrl or fid' });
+        if (!imageUrl) {
+            return res.status(400).json({ error: 'Missing imageUrl' });
+        }
+        if (!Number.isInteger(fid) || fid < 1) {
+            return res.status(400).json({ error: 'fid must be a positive integer' });
+        }
+        
+        const verification = await walletAuth.getVerification(req.body.walletToken);
+        if (!verification || verification.fid !== fid) {
+            return res.status(401).json({
+                error: 'Verify a wallet linked to this FID before generating',
+                code: 'WALLET_NOT_VERIFIED'
+            });
+        }
+        if (sourceId && !(/^[0-9a-f]{64}$/.test(sourceId) && imageCache.has(sourceId))) {
+            return res.status(404).json({ error: 'Uploaded source not found or expired, please upload again' });
+        }
+        const rejected = !sourceId && imageFetcher.checkUrl(imageUrl);
+        if (rejected) {
+            return res.status(400).json({ error: `Image URL rejected: ${rejected}` });
+        }
+        if (!(variants >= 1 && variants <= TRANSFORM_MAX_VARIANTS)) {
+            return res.status(400).json({ error: `variants must be between 1 and ${TRANSFORM_MAX_VARIANTS}` });
         }
         
-        const transformedUrl = await transformToCyberpunk(imageUrl, fid);
+        const style = await styles.resolve(styleId);
+        if (!style) {
+            return res.status(400).json({ error: styleId ? `Unknown style: ${styleId}` : 'No styles enabled' });
+        }
         
-        res.json({ 
+        // Every variant counts against the quota, but cached results and
+        // resubmissions of a running job are free
+        const key = `${fid}-${imageUrl}-${style.id}-x${variants}`;
+        let charge = null;
+        if (!transformQueue.getActive(key) && !(await findCachedTransform(imageUrl, fid, style, variants))) {
+            const quota = await quotas.consume({ fid, ip: req.ip, amount: variants });
+            if (!quota.allowed) {
+                res.set('Retry-After', String(quota.retryAfter));
+                return res.status(429).json({ error: quota.reason, retryAfter: quota.retryAfter });
+            }
+            charge = quota.charge;
+        }
+        
+        // Refund if the queue is full, or if a matching job started while we
+        // were charging - submit() then returns that job and ours never runs
+        let job;
+        try {
+            if (charge && transformQueue.getActive(key)) {
+                await quotas.refund(charge);
+                charge = null;
+            }
+            job = transformQueue.submit({ imageUrl, fid, style, variants, charge }, { key });
+        } catch (error) {
+            if (charge) await quotas.refund(charge);
+            throw error;
+        }
+        
+        res.status(202).json({
             success: true,
-            transformedUrl,
-            message: 'Image transformed successfully'
+            jobId: job.id,
+            job,
+            quota: await quotas.getUsage(fid),
+            statusUrl: `/api/transform/${job.id}`,
+            eventsUrl: `/api/transform/${job.id}/events`
         });
     } catch (error) {
+        if (error instanceof QueueFullError) {
+            return res.status(error.status).json({ error: error.message });
+        }
         console.error('Error in /api/transform:', error);
         res.status(500).json({ error: error.message });
     }
 });
 
+/**
+ * Transform job status
+ */
+app.get('/api/transform/:jobId', (req, res) => {
+    const job = transformQueue.get(req.params.jobId);
+    if (!job) {
+        return res.status(404).json({ error: 'Job not found or expired' });
+    }
+    res.json(job);
+});
+
+/**
+ * Transform job progress as Server-Sent Events
+ * Emits a `job` event with the job state on every change and closes once it finishes
+ */
+app.get('/api/transform/:jobId/events', (req, res) => {
+    const job = transformQueue.get(req.params.jobId);
+    if (!job) {
+        return res.status(404).json({ error: 'Job not found or expired' });
+    }
+
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    const send = state => res.write(`event: job\ndata: ${JSON.stringify(state)}\n\n`);
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), 15000);
+    const close = () => {
+        clearInterval(heartbeat);
+        unsubscribe();
+        res.end();
+    };
+
+    const unsubscribe = transformQueue.subscribe(job.id, state => {
+        send(state);
+        if (transformQueue.isTerminal(state)) close();
+    });
+    req.on('close', close);
+
+    send(job);
+    if (transformQueue.isTerminal(job)) close();
+});
+
 /**
  * Prepare mint (transform + upload to IPFS)
  */
-app.post('/api/prepare-mint', async (req, res) => {
+app.post('/api/prepare-mint', rateLimit(prepareMintBucket, { message: 'Too many mint preparations' }), async (req, res) => {
     try {
-        const { imageUrl, fid, username, displayName } = req.body;
+        // Everything else in the metadata comes from server-side data
+        const { variantId } = req.body;
+        const fid = parseInt(req.body.fid);
         
-        if (!imageUrl || !fid || !username) {
+        if (!variantId || !fid || fid < 1) {
             return res.status(400).json({ error: 'Missing required fields' });
         }
+
+        // Nothing is pinned until a wallet linked to the FID has signed for it
+        const verification = await walletAuth.getVerification(req.body.walletToken);
+        if (!verification || verification.fid !== fid) {
+            return res.status(401).json({
+                error: 'Verify a wallet linked to this FID before minting',
+                code: 'WALLET_NOT_VERIFIED'
+            });
+        }
+
+        const resolved = await resolveVariant(variantId, fid);
+        if (resolved.error) {
+            return res.status(resolved.status).json({ error: resolved.error });
+        }
         
         // Check if FID already minted
-        if (mintedFids.has(fid)) {
+        if (await storage.getMint(fid)) {
             return res.status(400).json({ error: 'This FID has already minted' });
         }
         
-        console.log('Preparing mint for FID:', fid);
+        // Names are re-read from Farcaster rather than taken from the client
+        const user = await getFarcasterUser(fid);
+        const username = sanitizeUsername(user.username);
+        if (!username) {
+            return res.status(422).json({ error: 'Farcaster username is missing or invalid' });
+        }
+        const displayName = sanitizeText(user.displayName) || username;
         
-        // Upload transformed image to IPFS
-        const ipfsImageUrl = await uploadToIPFS(imageUrl);
-        
-        // Create metadata
-        const metadata = {
-            name: `CyberProfile #${fid}`,
-            description: `Cyberpunk transformation of @${username}'s Farcaster profile`,
-            image: ipfsImageUrl,
-            attributes: [
-                {
-                    trait_type: "FID",
-                    value: fid
-                },
-                {
-                    trait_type: "Username",
-                    value: username
-                },
-                {
-                    trait_type: "Display Name",
-                    value: displayName || username
-                },
-                {
-                    trait_type: "Style",
-                    value: "Cyberpunk"
-                },
-                {
-                    trait_type: "Generated",
-                    value: new Date().toISOString()
-                }
-            ]
-        };
+        console.log('Preparing mint for FID:', fid);
         
-        // Upload metadata to IPFS
-        const tokenURI = await uploadMetadataToIPFS(metadata);
+        const { tokenURI, ipfsImageUrl, metadata } = await pinVariant({
+            fid, user, username, displayName, ...resolved
+        });
+
+        await storage.savePreparedMint({
+            fid,
+            tokenURI,
+            imageURI: ipfsImageUrl,
+            metadata
+        });
         
         console.log('Mint preparation complete:', tokenURI);
         
@@ -414,29 +1111,408 @@ app.post('/api/prepare-mint', async (req, res) => {
 });
 
 /**
- * Get current minting parameters
+ * Issue the EIP-712 voucher the contract requires to mint a prepared FID
+ * Only the FID's custody address or one of its verified addresses gets one
  */
-app.get('/api/parameters', (req, res) => {
-    res.json({
-        ...mintingParameters,
-        baseMintPrice: ethers.utils.formatEther(mintingParameters.baseMintPrice),
-        proMintPrice: ethers.utils.formatEther(mintingParameters.proMintPrice)
+app.post('/api/mint-voucher', async (req, res) => {
+    try {
+        const fid = parseInt(req.body.fid);
+        const { address } = req.body;
+        
+        if (!fid || fid < 1 || !ethers.utils.isAddress(address || '')) {
+            return res.status(400).json({ error: 'Missing FID or wallet address' });
+        }
+        if (!CONTRACT_ADDRESS || !oracleSigner) {
+            return res.status(503).json({ error: 'Mint vouchers are not configured' });
+        }
+        if (await storage.getMint(fid)) {
+            return res.status(400).json({ error: 'This FID has already minted' });
+        }
+        
+        const prepared = await storage.getPreparedMint(fid);
+        if (!prepared) {
+            return res.status(404).json({ error: 'No prepared mint for this FID' });
+        }
+        
+        const user = await getFarcasterUser(fid);
+        const wallets = [user.custodyAddress, ...(user.verifications || [])]
+            .filter(Boolean)
+            .map(wallet => wallet.toLowerCase());
+        if (!wallets.includes(address.toLowerCase())) {
+            return res.status(403).json({ error: "Wallet is not this FID's custody or verified address" });
+        }
+        
+        const isPro = await isProForMint(fid, user);
+        const voucher = {
+            fid,
+            to: ethers.utils.getAddress(address),
+            tokenURI: prepared.tokenURI,
+            isPro,
+            expiry: Math.floor(Date.now() / 1000) + MINT_VOUCHER_TTL_SECONDS
+        };
+        const { chainId } = await provider.getNetwork();
+        const signature = await signMintVoucher(oracleSigner, { chainId, contractAddress: CONTRACT_ADDRESS }, voucher);
+        const price = isPro ? mintingParameters.proMintPrice : mintingParameters.baseMintPrice;
+        
+        res.json({
+            voucher,
+            signature,
+            price: price.toString(),
+            contractAddress: CONTRACT_ADDRESS
+        });
+    } catch (error) {
+        console.error('Error in /api/mint-voucher:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * Issue the voucher `transferToVerifiedWallet` requires under the same-FID policy
+ * `to` must be a custody or verified address of the token's FID
+ */
+app.post('/api/transfer-voucher', async (req, res) => {
+    try {
+        const fid = parseInt(req.body.fid);
+        const { to } = req.body;
+        
+        if (!fid || fid < 1 || !ethers.utils.isAddress(to || '')) {
+            return res.status(400).json({ error: 'Missing FID or recipient address' });
+        }
+        if (!CONTRACT_ADDRESS || !oracleSigner) {
+            return res.status(503).json({ error: 'Transfer vouchers are not configured' });
+        }
+        
+        const contract = getCyberProfileContract(CONTRACT_ADDRESS, provider);
+        const policy = TRANSFER_POLICIES[await contract.transferPolicy()];
+        if (policy === 'soulbound') {
+            return res.status(403).json({ error: 'CyberProfiles are soulbound' });
+        }
+        if (policy === 'transferable') {
+            return res.status(400).json({ error: 'Transfers are unrestricted - no voucher needed' });
+        }
+        if (!(await contract.hasMinted(fid))) {
+            return res.status(404).json({ error: 'This FID has not minted' });
+        }
+        
+        const tokenId = await contract.getTokenIdByFid(fid);
+        const from = await contract.ownerOf(tokenId);
+        
+        const user = await getFarcasterUser(fid);
+        const wallets = [user.custodyAddress, ...(user.verifications || [])]
+            .filter(Boolean)
+            .map(wallet => wallet.toLowerCase());
+        if (!wallets.includes(to.toLowerCase())) {
+            return res.status(403).json({ error: "Recipient is not this FID's custody or verified address" });
+        }
+        if (from.toLowerCase() === to.toLowerCase()) {
+            return res.status(400).json({ error: 'Recipient already holds this token' });
+        }
+        
+        const voucher = {
+            tokenId: tokenId.toString(),
+            from,
+            to: ethers.utils.getAddress(to),
+            expiry: Math.floor(Date.now() / 1000) + MINT_VOUCHER_TTL_SECONDS
+        };
+        const { chainId } = await provider.getNetwork();
+        const signature = await signTransferVoucher(oracleSigner, { chainId, contractAddress: CONTRACT_ADDRESS }, voucher);
+        
+        res.json({ voucher, signature, contractAddress: CONTRACT_ADDRESS });
+    } catch (error) {
+        console.error('Error in /api/transfer-voucher:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * Pin new artwork for a minted FID and issue the voucher `reroll` requires
+ * The verified wallet must currently hold the FID's token
+ */
+app.post('/api/prepare-reroll', rateLimit(prepareMintBucket, { message: 'Too many re-roll preparations' }), async (req, res) => {
+    try {
+        const { variantId } = req.body;
+        const fid = parseInt(req.body.fid);
+        
+        if (!variantId || !fid || fid < 1) {
+            return res.status(400).json({ error: 'Missing required fields' });
+        }
+        if (!CONTRACT_ADDRESS || !oracleSigner) {
+            return res.status(503).json({ error: 'Re-rolls are not configured' });
+        }
+        
+        const verification = await walletAuth.getVerification(req.body.walletToken);
+        if (!verification || verification.fid !== fid) {
+            return res.status(401).json({
+                error: 'Verify a wallet linked to this FID before re-rolling',
+                code: 'WALLET_NOT_VERIFIED'
+            });
+        }
+        
+        const resolved = await resolveVariant(variantId, fid);
+        if (resolved.error) {
+            return res.status(resolved.status).json({ error: resolved.error });
+        }
+        
+        // Holder, count and cap are read from the contract, not the index
+        const contract = getCyberProfileContract(CONTRACT_ADDRESS, provider);
+        if (!(await contract.hasMinted(fid))) {
+            return res.status(404).json({ error: 'This FID has not minted' });
+        }
+        const tokenId = await contract.getTokenIdByFid(fid);
+        const [holder, rerollCount, maxRerolls, fee] = await Promise.all([
+            contract.ownerOf(tokenId),
+            contract.rerollCount(tokenId),
+            contract.maxRerollsPerToken(),
+            contract.rerollFee()
+        ]);
+        if (holder.toLowerCase() !== verification.address.toLowerCase()) {
+            return res.status(403).json({ error: 'The verified wallet does not hold this token' });
+        }
+        if (rerollCount.gte(maxRerolls)) {
+            return res.status(409).json({ error: `This token has used all ${maxRerolls} re-rolls` });
+        }
+        
+        const user = await getFarcasterUser(fid);
+        const username = sanitizeUsername(user.username);
+        if (!username) {
+            return res.status(422).json({ error: 'Farcaster username is missing or invalid' });
+        }
+        const displayName = sanitizeText(user.displayName) || username;
+        
+        console.log('Preparing re-roll for FID:', fid, 'token:', tokenId.toString());
+        
+        const { tokenURI, ipfsImageUrl, metadata } = await pinVariant({
+            fid, user, username, displayName, ...resolved, rerolls: rerollCount.toNumber() + 1
+        });
+        
+        const voucher = {
+            tokenId: tokenId.toString(),
+            holder,
+            tokenURI,
+            rerollIndex: rerollCount.toString(),
+            expiry: Math.floor(Date.now() / 1000) + MINT_VOUCHER_TTL_SECONDS
+        };
+        const { chainId } = await provider.getNetwork();
+        const signature = await signRerollVoucher(oracleSigner, { chainId, contractAddress: CONTRACT_ADDRESS }, voucher);
+        
+        res.json({
+            success: true,
+            voucher,
+            signature,
+            fee: fee.toString(),
+            contractAddress: CONTRACT_ADDRESS,
+            rerollsRemaining: maxRerolls.sub(rerollCount).toNumber() - 1,
+            ipfsImageUrl,
+            metadata
+        });
+    } catch (error) {
+        console.error('Error in /api/prepare-reroll:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * Upload a custom source image to transform instead of the Farcaster PFP
+ * Multipart field `image`; the normalized PNG is kept in the image cache
+ */
+app.post('/api/upload-source', rateLimit(uploadBucket, { message: 'Too many uploads' }), (req, res, next) => {
+    upload.single('image')(req, res, (error) => {
+        if (error instanceof multer.MulterError) {
+            const status = error.code === 'LIMIT_FILE_SIZE' ? 413 : 400;
+            return res.status(status).json({ error: error.message });
+        }
+        next(error);
     });
+}, async (req, res) => {
+    try {
+        if (!req.file) {
+            return res.status(400).json({ error: 'Missing image file' });
+        }
+
+        // The declared mimetype is not trusted - sharp sniffs the contents
+        const invalid = await validateSourceImage(req.file.buffer);
+        if (invalid) {
+            return res.status(400).json({ error: invalid });
+        }
+
+        const source = await normalizeSourceImage(req.file.buffer);
+        if (!imageCache.has(source.sha256)) {
+            await imageCache.put(source.sha256, source.buffer);
+        }
+        await storage.saveUploadedSource({ key: source.sha256, originalSha256: source.originalSha256 });
+
+        res.status(201).json({
+            sourceId: source.sha256,
+            sourceUrl: imageCacheUrl(source.sha256)
+        });
+    } catch (error) {
+        console.error('Error in /api/upload-source:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * Serve a generated image from the image cache
+ */
+app.get('/api/images/:key.png', async (req, res) => {
+    try {
+        if (!/^[0-9a-f]{64}$/.test(req.params.key)) {
+            return res.status(400).json({ error: 'Invalid image key' });
+        }
+
+        const image = await imageCache.get(req.params.key);
+        if (!image) {
+            return res.status(404).json({ error: 'Image not found or expired' });
+        }
+
+        res.set({
+            'Content-Type': 'image/png',
+            'Cache-Control': 'public, max-age=86400'
+        });
+        res.send(image);
+    } catch (error) {
+        console.error('Error in /api/images/:key:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * Get current minting parameters
+ */
+app.get('/api/parameters', (req, res) => {
+    res.json(formatMintingParameters());
+});
+
+/**
+ * Enabled style presets for the style picker
+ */
+app.get('/api/styles', async (req, res) => {
+    try {
+        const enabled = (await styles.list()).filter(style => style.enabled);
+        res.json({
+            styles: enabled.map(({ id, name }) => ({ id, name })),
+            default: enabled[0]?.id || null
+        });
+    } catch (error) {
+        console.error('Error in /api/styles:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// ===== WALLET VERIFICATION =====
+
+/**
+ * Get a nonce to include in the wallet verification SIWE message
+ */
+app.get('/api/wallet/nonce', async (req, res) => {
+    try {
+        res.json(await walletAuth.issueNonce());
+    } catch (error) {
+        console.error('Error in /api/wallet/nonce:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * Exchange a SIWE message signed by the FID's custody or verified wallet
+ * for a token that /api/prepare-mint accepts
+ */
+app.post('/api/wallet/verify', async (req, res) => {
+    try {
+        const fid = parseInt(req.body.fid);
+        const { message, signature } = req.body;
+        const verification = await walletAuth.verify({ fid, message, signature });
+        res.json({ success: true, ...verification });
+    } catch (error) {
+        if (error instanceof WalletAuthError) {
+            return res.status(error.status).json({ error: error.message, code: error.code, ...error.details });
+        }
+        console.error('Error in /api/wallet/verify:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// ===== ADMIN AUTH =====
+
+/**
+ * Get a nonce to include in the SIWE message
+ */
+app.get('/api/admin/auth/nonce', async (req, res) => {
+    try {
+        res.json(await adminAuth.issueNonce());
+    } catch (error) {
+        console.error('Error in /api/admin/auth/nonce:', error);
+        res.status(500).json({ error: error.message });
+    }
 });
 
+/**
+ * Exchange a signed SIWE message for an admin session token
+ */
+app.post('/api/admin/auth/login', async (req, res) => {
+    try {
+        const { message, signature } = req.body;
+        const session = await adminAuth.login({ message, signature });
+        res.json({ success: true, ...session });
+    } catch (error) {
+        if (error instanceof AdminAuthError) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        console.error('Error in /api/admin/auth/login:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * Get the current admin session
+ */
+app.get('/api/admin/auth/session', async (req, res) => {
+    try {
+        const session = await adminAuth.getSession(getBearerToken(req));
+        if (!session) {
+            return res.status(401).json({ error: 'Not signed in' });
+        }
+        res.json({ address: session.address, expiresAt: session.expiresAt });
+    } catch (error) {
+        console.error('Error in /api/admin/auth/session:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * End the current admin session
+ */
+app.post('/api/admin/auth/logout', async (req, res) => {
+    try {
+        await adminAuth.logout(getBearerToken(req));
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Error in /api/admin/auth/logout:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Every /api/admin route below requires an admin session
+app.use('/api/admin', adminAuth.requireAdmin);
+
 /**
  * Get stats for admin dashboard
  */
 app.get('/api/admin/stats', async (req, res) => {
     try {
+        const royaltyEvent = await storage.getLatestChainEvent('RoyaltyUpdated');
+        
         res.json({
             currentSupply: mintingParameters.currentSupply,
-            totalMinted: mintedFids.size,
+            totalMinted: await storage.countMints(),
+            maxSupply: mintingParameters.maxSupply,
             isPaused: mintingParameters.paused,
-            parameters: {
-                ...mintingParameters,
-                baseMintPrice: ethers.utils.formatEther(mintingParameters.baseMintPrice),
-                proMintPrice: ethers.utils.formatEther(mintingParameters.proMintPrice)
+            parameters: formatMintingParameters(),
+            chain: {
+                indexer: indexer ? await indexer.getStatus() : null,
+                royalty: royaltyEvent && royaltyEvent.args,
+                transferPolicy: await readTransferPolicy(),
+                drift: await checkParameterDrift()
             }
         });
     } catch (error) {
@@ -446,83 +1522,510 @@ app.get('/api/admin/stats', async (req, res) => {
 });
 
 /**
- * Update minting parameters (admin only - TODO: add auth)
+ * Apply parameter updates and send the response
+ *
+ * With a contract configured the change is made on-chain: the server sends
+ * it with the owner signer (`mode: 'submit'`, default when one is configured)
+ * or returns unsigned transactions for the admin wallet (`mode: 'unsigned'`).
+ * Without a contract only the server-side parameters change.
+ * @param {Function} resolveUpdates current parameters -> fields to change
  */
-app.post('/api/admin/update-parameters', (req, res) => {
+async function applyParameterUpdates(res, resolveUpdates, mode) {
+    if (!CONTRACT_ADDRESS) {
+        Object.assign(mintingParameters, resolveUpdates(mintingParameters));
+        await saveMintingParameters();
+        console.log('Parameters updated (server only):', mintingParameters);
+        return res.json({ success: true, submitted: false, parameters: formatMintingParameters() });
+    }
+    
+    // Merge onto the contract's current values, not the server's
+    const chainParams = await readContractParams(getCyberProfileContract(CONTRACT_ADDRESS, provider));
+    const nextParams = { ...chainParams, ...resolveUpdates(chainParams) };
+    
+    const validationError = validateMintingParams(nextParams);
+    if (validationError) {
+        return res.status(400).json({ error: validationError });
+    }
+    
+    const transactions = buildParameterTransactions(CONTRACT_ADDRESS, chainParams, nextParams);
+    if (!transactions.length) {
+        await syncParametersFromChain();
+        return res.json({ success: true, submitted: false, transactions, parameters: formatMintingParameters() });
+    }
+    
+    const submit = mode ? mode === 'submit' : !!ownerSigner;
+    if (!submit) {
+        const { chainId } = await provider.getNetwork();
+        return res.json({
+            success: true,
+            submitted: false,
+            transactions: transactions.map(tx => ({ ...tx, chainId }))
+        });
+    }
+    
+    if (!ownerSigner) {
+        return res.status(503).json({ error: 'Owner signer not configured - use mode "unsigned"' });
+    }
+    
+    const txHashes = [];
+    for (const { method, to, data } of transactions) {
+        const tx = await ownerSigner.sendTransaction({ to, data });
+        console.log(`Sent ${method}: ${tx.hash}`);
+        await tx.wait();
+        txHashes.push(tx.hash);
+    }
+    
+    await syncParametersFromChain();
+    console.log('Parameters updated on-chain:', formatMintingParameters());
+    
+    res.json({ 
+        success: true, 
+        submitted: true,
+        txHashes,
+        parameters: formatMintingParameters()
+    });
+}
+
+/**
+ * Update minting parameters (see applyParameterUpdates for on-chain handling)
+ */
+app.post('/api/admin/update-parameters', async (req, res) => {
     try {
-        const { minFid, maxFid, baseMintPrice, proMintPrice } = req.body;
+        const { minFid, maxFid, baseMintPrice, proMintPrice, maxSupply, paused, mode } = req.body;
         
-        if (minFid !== undefined) mintingParameters.minFid = parseInt(minFid);
-        if (maxFid !== undefined) mintingParameters.maxFid = parseInt(maxFid);
-        if (baseMintPrice !== undefined) mintingParameters.baseMintPrice = ethers.utils.parseEther(baseMintPrice.toString());
-        if (proMintPrice !== undefined) mintingParameters.proMintPrice = ethers.utils.parseEther(proMintPrice.toString());
+        const updates = {};
+        if (minFid !== undefined) updates.minFid = parseInt(minFid);
+        if (maxFid !== undefined) updates.maxFid = parseInt(maxFid);
+        if (baseMintPrice !== undefined) updates.baseMintPrice = ethers.utils.parseEther(baseMintPrice.toString());
+        if (proMintPrice !== undefined) updates.proMintPrice = ethers.utils.parseEther(proMintPrice.toString());
+        if (maxSupply !== undefined) updates.maxSupply = parseInt(maxSupply);
+        if (paused !== undefined) updates.paused = !!paused;
         
-        console.log('Parameters updated:', mintingParameters);
+        await applyParameterUpdates(res, () => updates, mode);
+    } catch (error) {
+        console.error('Error in /api/admin/update-parameters:', error);
+        res.status(500).json({ error: error.reason || error.message });
+    }
+});
+
+/**
+ * Toggle pause state - on the contract when one is configured, so it sends
+ * (or returns unsigned) a pause/unpause transaction like update-parameters
+ */
+app.post('/api/admin/toggle-pause', async (req, res) => {
+    try {
+        await applyParameterUpdates(res, current => ({ paused: !current.paused }), req.body.mode);
+    } catch (error) {
+        console.error('Error in /api/admin/toggle-pause:', error);
+        res.status(500).json({ error: error.reason || error.message });
+    }
+});
+
+/**
+ * Update Pro status on-chain
+ * Accepts { fid, isPro } or { updates: [{ fid, isPro }, ...] } for a batch
+ */
+app.post('/api/admin/update-pro-status', async (req, res) => {
+    try {
+        if (!CONTRACT_ADDRESS || !oracleSigner) {
+            return res.status(503).json({ error: 'Contract or oracle signer not configured' });
+        }
         
-        res.json({ 
-            success: true, 
-            parameters: {
-                ...mintingParameters,
-                baseMintPrice: ethers.utils.formatEther(mintingParameters.baseMintPrice),
-                proMintPrice: ethers.utils.formatEther(mintingParameters.proMintPrice)
+        const { fid, isPro, updates } = req.body;
+        const changes = Array.isArray(updates) ? updates : [{ fid, isPro }];
+        
+        if (!changes.length || changes.some(change => !parseInt(change.fid) || typeof change.isPro !== 'boolean')) {
+            return res.status(400).json({ error: 'Each update needs a valid fid and boolean isPro' });
+        }
+        
+        const fids = changes.map(change => parseInt(change.fid));
+        const statuses = changes.map(change => change.isPro);
+        const contract = getCyberProfileContract(CONTRACT_ADDRESS, oracleSigner);
+        
+        const tx = changes.length === 1
+            ? await contract.updateProStatus(fids[0], statuses[0])
+            : await contract.batchUpdateProStatus(fids, statuses);
+        console.log(`Pro status update sent for ${fids.length} FID(s): ${tx.hash}`);
+        
+        const receipt = await tx.wait();
+        
+        // Read back the resulting on-chain state
+        const proStatus = await Promise.all(fids.map(async (fid) => ({
+            fid,
+            isPro: await contract.isProUser(fid)
+        })));
+        
+        res.json({
+            success: true,
+            txHash: tx.hash,
+            blockNumber: receipt.blockNumber,
+            proStatus
+        });
+    } catch (error) {
+        console.error('Error in /api/admin/update-pro-status:', error);
+        res.status(500).json({ error: error.reason || error.message });
+    }
+});
+
+/**
+ * Update royalty receiver and basis points on-chain
+ */
+app.post('/api/admin/update-royalty', async (req, res) => {
+    try {
+        if (!CONTRACT_ADDRESS || !ownerSigner) {
+            return res.status(503).json({ error: 'Contract or owner signer not configured' });
+        }
+        
+        const { receiver, basisPoints } = req.body;
+        
+        if (!ethers.utils.isAddress(receiver)) {
+            return res.status(400).json({ error: 'Invalid royalty receiver address' });
+        }
+        
+        const bps = parseInt(basisPoints);
+        if (isNaN(bps) || bps < 0 || bps > 1000) {
+            return res.status(400).json({ error: 'basisPoints must be between 0 and 1000 (max 10%)' });
+        }
+        
+        const contract = getCyberProfileContract(CONTRACT_ADDRESS, ownerSigner);
+        const tx = await contract.updateRoyalty(receiver, bps);
+        console.log(`Royalty update sent: ${receiver} @ ${bps} bps, TX: ${tx.hash}`);
+        
+        const receipt = await tx.wait();
+        const royalty = await contract.getRoyaltyInfo();
+        
+        res.json({
+            success: true,
+            txHash: tx.hash,
+            blockNumber: receipt.blockNumber,
+            royalty: {
+                receiver: royalty.receiver,
+                basisPoints: royalty.basisPoints.toNumber()
             }
         });
     } catch (error) {
-        console.error('Error in /api/admin/update-parameters:', error);
+        console.error('Error in /api/admin/update-royalty:', error);
+        res.status(500).json({ error: error.reason || error.message });
+    }
+});
+
+/**
+ * Set the contract's transfer policy: 'transferable', 'soulbound' or 'same-fid'
+ */
+app.post('/api/admin/transfer-policy', async (req, res) => {
+    try {
+        if (!CONTRACT_ADDRESS || !ownerSigner) {
+            return res.status(503).json({ error: 'Contract or owner signer not configured' });
+        }
+        
+        const policy = TRANSFER_POLICIES.indexOf(req.body.policy);
+        if (policy === -1) {
+            return res.status(400).json({ error: `policy must be one of: ${TRANSFER_POLICIES.join(', ')}` });
+        }
+        
+        const contract = getCyberProfileContract(CONTRACT_ADDRESS, ownerSigner);
+        const tx = await contract.setTransferPolicy(policy);
+        console.log(`Transfer policy update sent: ${req.body.policy}, TX: ${tx.hash}`);
+        
+        const receipt = await tx.wait();
+        
+        res.json({
+            success: true,
+            txHash: tx.hash,
+            blockNumber: receipt.blockNumber,
+            transferPolicy: await readTransferPolicy()
+        });
+    } catch (error) {
+        console.error('Error in /api/admin/transfer-policy:', error);
+        res.status(500).json({ error: error.reason || error.message });
+    }
+});
+
+/**
+ * Repin broken tokens and point them at working metadata
+ * Accepts { fids: [...] } to repin from stored copies, or { fid, tokenURI } to
+ * set a URI directly. Changed URIs are written with setTokenURI/batchSetTokenURI
+ * (ERC-4906 MetadataUpdate); tokens whose URI was already right get a
+ * BatchMetadataUpdate so marketplaces re-fetch them.
+ */
+app.post('/api/admin/tokens/repair', async (req, res) => {
+    try {
+        if (!CONTRACT_ADDRESS || !ownerSigner) {
+            return res.status(503).json({ error: 'Contract or owner signer not configured' });
+        }
+        
+        const { tokenURI } = req.body;
+        const fids = (Array.isArray(req.body.fids) ? req.body.fids : [req.body.fid]).map(fid => parseInt(fid));
+        
+        if (!fids.length || fids.length > 50 || fids.some(fid => !fid || fid < 1)) {
+            return res.status(400).json({ error: 'Provide 1-50 valid FIDs' });
+        }
+        if (tokenURI !== undefined && (fids.length !== 1 || !/^ipfs:\/\/\w+/.test(tokenURI))) {
+            return res.status(400).json({ error: 'tokenURI must be an ipfs:// URI for a single FID' });
+        }
+        
+        const contract = getCyberProfileContract(CONTRACT_ADDRESS, ownerSigner);
+        const results = [];
+        for (const fid of fids) {
+            try {
+                if (!(await contract.hasMinted(fid))) {
+                    throw new Error('FID has not minted');
+                }
+                const tokenId = (await contract.getTokenIdByFid(fid)).toNumber();
+                const currentURI = await contract.tokenURI(tokenId);
+                const rerollCount = (await contract.rerollCount(tokenId)).toNumber();
+                
+                const nextURI = tokenURI || await repinToken({ fid, currentURI, rerollCount });
+                results.push({ fid, tokenId, previousURI: currentURI, tokenURI: nextURI, changed: nextURI !== currentURI });
+            } catch (error) {
+                results.push({ fid, error: error.message });
+            }
+        }
+        
+        const changed = results.filter(result => result.changed);
+        const unchanged = results.filter(result => result.changed === false);
+        const txHashes = [];
+        
+        if (changed.length) {
+            const tx = changed.length === 1
+                ? await contract.setTokenURI(changed[0].tokenId, changed[0].tokenURI)
+                : await contract.batchSetTokenURI(changed.map(r => r.tokenId), changed.map(r => r.tokenURI));
+            console.log(`Token URI update sent for ${changed.length} token(s): ${tx.hash}`);
+            await tx.wait();
+            txHashes.push(tx.hash);
+        }
+        if (unchanged.length) {
+            const tokenIds = unchanged.map(result => result.tokenId);
+            const tx = await contract.refreshMetadata(Math.min(...tokenIds), Math.max(...tokenIds));
+            console.log(`Metadata refresh sent for ${unchanged.length} token(s): ${tx.hash}`);
+            await tx.wait();
+            txHashes.push(tx.hash);
+        }
+        
+        res.json({ success: true, txHashes, results });
+    } catch (error) {
+        console.error('Error in /api/admin/tokens/repair:', error);
+        res.status(500).json({ error: error.reason || error.message });
+    }
+});
+
+/**
+ * Run the Pro status oracle now
+ * Body: { dryRun } - defaults to the configured mode
+ */
+app.post('/api/admin/pro-oracle/run', async (req, res) => {
+    try {
+        if (!proOracle) {
+            return res.status(503).json({ error: 'Pro oracle not configured (needs CONTRACT_ADDRESS and an oracle signer)' });
+        }
+        if (proOracle.isRunning()) {
+            return res.status(409).json({ error: 'Oracle run already in progress' });
+        }
+        
+        const { dryRun } = req.body;
+        const run = await proOracle.runOnce(dryRun === undefined ? {} : { dryRun: !!dryRun });
+        
+        res.json({ success: !run.error, run });
+    } catch (error) {
+        console.error('Error in /api/admin/pro-oracle/run:', error);
         res.status(500).json({ error: error.message });
     }
 });
 
 /**
- * Toggle pause state
+ * Recent Pro status oracle runs
  */
-app.post('/api/admin/toggle-pause', (req, res) => {
-    mintingParameters.paused = !mintingParameters.paused;
-    console.log('Minting paused:', mintingParameters.paused);
-    res.json({ 
-        success: true, 
-        paused: mintingParameters.paused 
-    });
+app.get('/api/admin/pro-oracle/runs', async (req, res) => {
+    try {
+        const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+        res.json({
+            enabled: !!proOracle,
+            runs: await storage.listOracleRuns(limit)
+        });
+    } catch (error) {
+        console.error('Error in /api/admin/pro-oracle/runs:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * Current post-processing pipeline
+ */
+app.get('/api/admin/post-processing', async (req, res) => {
+    try {
+        res.json({ config: await postProcessor.getConfig() });
+    } catch (error) {
+        console.error('Error in /api/admin/post-processing:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * Update the post-processing pipeline
+ * Body: partial config - { size, colorGrade, scanlines, frame, format, quality }
+ */
+app.post('/api/admin/post-processing', async (req, res) => {
+    try {
+        const config = withDefaults(req.body, await postProcessor.getConfig());
+        const validationError = validatePipeline(config);
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+
+        await postProcessor.saveConfig(config);
+        console.log('Post-processing updated:', JSON.stringify(config));
+
+        res.json({ success: true, config });
+    } catch (error) {
+        console.error('Error in /api/admin/post-processing:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * Full style catalogue, including disabled presets
+ */
+app.get('/api/admin/styles', async (req, res) => {
+    try {
+        res.json({ styles: await styles.list() });
+    } catch (error) {
+        console.error('Error in /api/admin/styles:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * Create or update a style preset
+ * Body: { id, name, prompt, negativePrompt?, strength?, enabled? }
+ */
+app.post('/api/admin/styles', async (req, res) => {
+    try {
+        const validationError = validateStyle(req.body);
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+
+        const updated = await styles.upsert(req.body);
+        console.log(`Style saved: ${req.body.id}`);
+
+        res.json({ success: true, styles: updated });
+    } catch (error) {
+        console.error('Error in /api/admin/styles:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * Delete a style preset - existing transforms keep their recorded style name
+ */
+app.delete('/api/admin/styles/:id', async (req, res) => {
+    try {
+        const updated = await styles.remove(req.params.id);
+        if (!updated) {
+            return res.status(404).json({ error: 'Style not found' });
+        }
+
+        console.log(`Style deleted: ${req.params.id}`);
+        res.json({ success: true, styles: updated });
+    } catch (error) {
+        console.error('Error in /api/admin/styles/:id:', error);
+        res.status(500).json({ error: error.message });
+    }
 });
 
 /**
  * Record mint (called after successful on-chain mint)
+ * The transaction receipt must contain a CyberProfileMinted event for this FID
  */
-app.post('/api/record-mint', (req, res) => {
+app.post('/api/record-mint', async (req, res) => {
     try {
         const { fid, txHash } = req.body;
         
-        if (!fid) {
-            return res.status(400).json({ error: 'Missing FID' });
+        if (!fid || !txHash) {
+            return res.status(400).json({ error: 'Missing FID or txHash', code: 'MISSING_FIELDS' });
         }
         
+        const parsedFid = parseInt(fid);
+        
+        if (await storage.getMintByTxHash(txHash)) {
+            return res.status(409).json({ error: 'Transaction already recorded', code: 'DUPLICATE_TX' });
+        }
+        
+        if (await storage.getMint(parsedFid)) {
+            return res.status(409).json({ error: 'This FID has already been recorded', code: 'ALREADY_RECORDED' });
+        }
+        
+        const mintEvent = await mintVerifier.verifyMint({ fid: parsedFid, txHash });
+        
         // Mark FID as minted
-        mintedFids.add(parseInt(fid));
+        const recorded = await storage.recordMint({
+            fid: parsedFid,
+            txHash: mintEvent.txHash,
+            tokenId: parseInt(mintEvent.args.tokenId),
+            minter: mintEvent.args.minter,
+            source: 'chain',
+            blockNumber: mintEvent.blockNumber
+        });
+        
+        // The indexer may have recorded it while we were verifying
+        if (!recorded) {
+            return res.status(409).json({ error: 'This FID has already been recorded', code: 'ALREADY_RECORDED' });
+        }
         
-        // Increment supply
-        mintingParameters.currentSupply++;
+        // currentSupply is synced from the contract - re-read it rather than
+        // counting locally, which would race the indexer's sync
+        try {
+            await syncParametersFromChain();
+        } catch (error) {
+            console.error('Error syncing parameters after mint:', error.message);
+        }
         
         console.log(`Mint recorded: FID ${fid}, TX: ${txHash}, Total: ${mintingParameters.currentSupply}`);
         
         res.json({ 
             success: true,
             currentSupply: mintingParameters.currentSupply,
-            totalUnique: mintedFids.size
+            totalUnique: await storage.countMints()
         });
     } catch (error) {
+        if (error instanceof MintVerificationError) {
+            return res.status(error.status).json({ error: error.message, code: error.code, ...error.details });
+        }
         console.error('Error in /api/record-mint:', error);
         res.status(500).json({ error: error.message });
     }
 });
 
 // Start server
-app.listen(PORT, () => {
-    console.log(`🚀 CyberProfile API running on port ${PORT}`);
-    console.log(`📍 Health check: http://localhost:${PORT}/health`);
-    console.log(`📡 Farcaster integration: ${NEYNAR_API_KEY ? '✅' : '❌'}`);
-    console.log(`🎨 AI transformation: ${TOGETHER_API_KEY ? '✅' : '❌'}`);
-    console.log(`📦 IPFS upload: ${PINATA_API_KEY ? '✅' : '❌'}`);
-    console.log(`📋 Model: One mint per FID (unlimited total supply)`);
+async function start() {
+    await checkSourceImageHosting();
+    await loadMintingParameters();
+    await imageCache.init();
+    if (CONTRACT_ADDRESS) {
+        await syncParametersFromChain().catch((error) => {
+            console.error('Could not read parameters from contract:', error.message);
+        });
+    }
+    if (indexer) indexer.start();
+    if (proOracle && process.env.PRO_ORACLE_ENABLED === 'true') proOracle.start();
+
+    app.listen(PORT, () => {
+        console.log(`🚀 CyberProfile API running on port ${PORT}`);
+        console.log(`📍 Health check: http://localhost:${PORT}/health`);
+        console.log(`📡 Farcaster integration: ${NEYNAR_API_KEY ? '✅' : '❌'}`);
+        console.log(`🎨 AI transformation: ${imageGenerator.describe().map(p => `${p.name} ${p.configured ? '✅' : '❌'}`).join(' → ')}`);
+        console.log(`📦 IPFS pinning: ${pinning.describe().map(b => `${b.name} ${b.configured ? '✅' : '❌'}`).join(' + ')}`);
+        console.log(`💾 Storage: ${storage.driver}`);
+        console.log(`🖼️  Image cache: ${imageCache.stats().entries} images`);
+        console.log(`⛓️  Chain indexer: ${indexer ? '✅' : '❌'}`);
+        console.log(`⭐ Pro oracle: ${proOracle && process.env.PRO_ORACLE_ENABLED === 'true' ? '✅' : '❌'}`);
+        console.log(`📋 Model: One mint per FID (unlimited total supply)`);
+    });
+}
+
+start().catch((error) => {
+    console.error('Failed to start server:', error);
+    process.exit(1);
 });
 
 module.exports = app;